@@ -0,0 +1,163 @@
+/**
+ * MessageBus - the event bus the agents talk over
+ * Used by server-agents.js; transports that carry events between processes live there too.
+ *
+ * publish() delivers to exact and wildcard ("client:*", "*") subscribers, each in isolation:
+ * a failing handler is logged and published as bus:error. respond()/request() do request/reply.
+ */
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Handlers run with the sessionId of the event being delivered, so events published
+// further down the call chain (e.g. spotify:api) can be attributed to that session
+export const busContext = new AsyncLocalStorage();
+
+// Transport for a single process - nothing leaves it
+export class InMemoryTransport {
+  connect() {}
+  send() {}
+  close() {}
+}
+
+
+export class MessageBus {
+  constructor(transport = new InMemoryTransport(), { log = () => {} } = {}) {
+    this.subscribers = new Map();
+    this.transport = transport;
+    this.log = log;
+    
+    // Events from other processes are only delivered locally, never sent back out
+    transport.connect({
+      onMessage: (event, data) => this.deliver(event, data),
+      onConnect: () => this.deliver('bus:connected', {})
+    });
+  }
+  
+  // Returns an unsubscribe function
+  subscribe(event, callback) {
+    if (!this.subscribers.has(event)) {
+      this.subscribers.set(event, []);
+    }
+    this.subscribers.get(event).push(callback);
+    return () => this.unsubscribe(event, callback);
+  }
+  
+  unsubscribe(event, callback) {
+    const handlers = this.subscribers.get(event);
+    if (!handlers) return;
+    // Replace rather than splice so a publish already in progress isn't affected
+    const remaining = handlers.filter(handler => handler !== callback);
+    if (remaining.length > 0) {
+      this.subscribers.set(event, remaining);
+    } else {
+      this.subscribers.delete(event);
+    }
+  }
+  
+  // Group subscriptions (e.g. one WebSocket session) so they can be torn down together
+  scope() {
+    return new BusScope(this);
+  }
+  
+  subscriberCounts() {
+    return Object.fromEntries(
+      Array.from(this.subscribers, ([event, handlers]) => [event, handlers.length])
+    );
+  }
+  
+  // Exact subscribers plus wildcard ones: "client:*" matches "client:audio", "*" matches everything.
+  // Handlers are called with (data, event) so wildcard subscribers know what they got.
+  getHandlers(event) {
+    const handlers = [];
+    for (const [pattern, callbacks] of this.subscribers) {
+      const matches = pattern.endsWith('*')
+        ? event.startsWith(pattern.slice(0, -1))
+        : pattern === event;
+      if (matches) handlers.push(...callbacks);
+    }
+    return handlers;
+  }
+  
+  // Send to other processes through the transport, then to local handlers
+  publish(event, data) {
+    this.transport.send(event, data);
+    return this.deliver(event, data);
+  }
+  
+  // Handlers run in isolation - a throwing or rejecting handler is logged and
+  // reported as bus:error without affecting the others. Resolves once all settle.
+  deliver(event, data) {
+    // Skip noisy audio events from logging
+    if (event !== 'audio:received') {
+      this.log('DEBUG', 'BUS', `Event: ${event}`);
+    }
+    const context = { sessionId: data?.sessionId ?? busContext.getStore()?.sessionId };
+    const runs = this.getHandlers(event).map(handler => busContext.run(context, () => {
+      try {
+        return Promise.resolve(handler(data, event)).catch(error => this.reportError(event, error));
+      } catch (error) {
+        this.reportError(event, error);
+        return Promise.resolve();
+      }
+    }));
+    return Promise.all(runs).then(() => undefined);
+  }
+  
+  reportError(event, error) {
+    this.log('ERROR', 'BUS', `Handler for ${event} failed`, error?.message || error);
+    // Never re-publish failures of bus:error handlers themselves
+    if (event !== 'bus:error' && !event.startsWith('bus:reply:')) {
+      this.publish('bus:error', { event, error: error?.message || String(error) });
+    }
+  }
+  
+  // Handle a topic as a request/reply endpoint - the handler's return value
+  // (or error) is sent back to the caller of request()
+  respond(event, handler) {
+    return this.subscribe(event, async (data) => {
+      if (!data?.replyTo) return handler(data);
+      try {
+        this.publish(data.replyTo, { result: await handler(data) });
+      } catch (error) {
+        this.publish(data.replyTo, { error: error.message });
+        throw error;
+      }
+    });
+  }
+  
+  // Publish to a respond() topic and wait for the first reply
+  request(event, data, timeoutMs = 10000) {
+    const replyTo = `bus:reply:${crypto.randomUUID()}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        unsubscribe();
+        reject(new Error(`Bus request timed out: ${event} (${timeoutMs}ms)`));
+      }, timeoutMs);
+      const unsubscribe = this.subscribe(replyTo, (reply) => {
+        clearTimeout(timer);
+        unsubscribe();
+        if (reply.error) reject(new Error(reply.error));
+        else resolve(reply.result);
+      });
+      this.publish(event, { ...data, replyTo });
+    });
+  }
+}
+
+export class BusScope {
+  constructor(bus) {
+    this.bus = bus;
+    this.unsubscribers = [];
+  }
+  
+  subscribe(event, callback) {
+    const unsubscribe = this.bus.subscribe(event, callback);
+    this.unsubscribers.push(unsubscribe);
+    return unsubscribe;
+  }
+  
+  dispose() {
+    this.unsubscribers.splice(0).forEach(unsubscribe => unsubscribe());
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Minimal Redis protocol (RESP2) helpers
+ * Shared by the Redis bus transport in server-agents.js and redis-standin.js
+ */
+
+// Encode a command as a RESP array of bulk strings
+export function encodeCommand(args) {
+  return `*${args.length}\r\n` + args
+    .map(arg => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`)
+    .join('');
+}
+
+// Read one value starting at offset - returns [value, nextOffset],
+// or null when the buffer doesn't hold the whole value yet
+export function readValue(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return [line, next];
+    case '-':
+      return [new Error(line), next];
+    case ':':
+      return [Number(line), next];
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return [null, next];
+      if (buffer.length < next + length + 2) return null;
+      return [buffer.toString('utf8', next, next + length), next + length + 2];
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return [null, next];
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = readValue(buffer, position);
+        if (!item) return null;
+        items.push(item[0]);
+        position = item[1];
+      }
+      return [items, position];
+    }
+    default:
+      throw new Error(`Unexpected RESP type: ${JSON.stringify(type)}`);
+  }
+}
+
+// Feed socket data in, get complete values out
+export function createReader(onValue) {
+  let buffer = Buffer.alloc(0);
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let value;
+    while (buffer.length > 0 && (value = readValue(buffer))) {
+      buffer = buffer.subarray(value[1]);
+      onValue(value[0]);
+    }
+  };
+}
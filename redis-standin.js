@@ -0,0 +1,90 @@
+/**
+ * 🧪 Redis stand-in for local testing of BUS_TRANSPORT=redis
+ *
+ * Speaks just enough of the Redis protocol for the message bus:
+ * PING, AUTH, SUBSCRIBE, UNSUBSCRIBE, PUBLISH and QUIT.
+ *
+ * Usage: npm run redis-standin [-- --port 6379]
+ */
+
+import net from 'net';
+import { createReader } from './redis-protocol.js';
+
+const portArg = process.argv.indexOf('--port');
+const PORT = parseInt(portArg === -1 ? process.env.REDIS_PORT : process.argv[portArg + 1], 10) || 6379;
+
+const channels = new Map(); // channel -> Set<socket>
+
+const simple = (text) => `+${text}\r\n`;
+const error = (text) => `-ERR ${text}\r\n`;
+const integer = (n) => `:${n}\r\n`;
+const bulk = (text) => `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+const array = (items) => `*${items.length}\r\n` + items.map(item => typeof item === 'number' ? integer(item) : bulk(item)).join('');
+
+function subscriptionsOf(socket) {
+  return Array.from(channels.values()).filter(sockets => sockets.has(socket)).length;
+}
+
+function handleCommand(socket, [name, ...args]) {
+  switch (String(name).toUpperCase()) {
+    case 'PING':
+      return socket.write(simple('PONG'));
+
+    case 'AUTH':
+      return socket.write(simple('OK'));
+
+    case 'SUBSCRIBE':
+      for (const channel of args) {
+        if (!channels.has(channel)) channels.set(channel, new Set());
+        channels.get(channel).add(socket);
+        socket.write(array(['subscribe', channel, subscriptionsOf(socket)]));
+      }
+      return;
+
+    case 'UNSUBSCRIBE':
+      for (const channel of args) {
+        channels.get(channel)?.delete(socket);
+        socket.write(array(['unsubscribe', channel, subscriptionsOf(socket)]));
+      }
+      return;
+
+    case 'PUBLISH': {
+      const [channel, message] = args;
+      const subscribers = channels.get(channel) || new Set();
+      subscribers.forEach(subscriber => subscriber.write(array(['message', channel, message])));
+      return socket.write(integer(subscribers.size));
+    }
+
+    case 'QUIT':
+      socket.write(simple('OK'));
+      return socket.end();
+
+    default:
+      return socket.write(error(`unknown command '${name}'`));
+  }
+}
+
+const server = net.createServer(socket => {
+  const read = createReader(value => {
+    if (Array.isArray(value) && value.length > 0) {
+      handleCommand(socket, value);
+    } else {
+      socket.write(error('expected a command array'));
+    }
+  });
+
+  socket.on('data', chunk => {
+    try {
+      read(chunk);
+    } catch (e) {
+      socket.write(error(e.message));
+      socket.destroy();
+    }
+  });
+  socket.on('close', () => channels.forEach(sockets => sockets.delete(socket)));
+  socket.on('error', () => {});
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`🧪 Redis stand-in listening on 127.0.0.1:${PORT}`);
+});
@@ -17,16 +17,36 @@
 import 'dotenv/config';
 import express from 'express';
 import http from 'http';
+import https from 'https';
 import { WebSocketServer, WebSocket } from 'ws';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
 import OpenAI, { toFile } from 'openai';
 import crypto from 'crypto';
+import net from 'net';
+import dns from 'dns';
+import os from 'os';
+import { encodeCommand, createReader } from './redis-protocol.js';
+import { MessageBus, InMemoryTransport, busContext } from './message-bus.js';
+import { SpotifyAccountStore, SPOTIFY_SCOPES } from './spotify-accounts.js';
+import { createSpotifyMock } from './spotify-mock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// `node server-agents.js --replay <recording.jsonl>` replays a recorded session instead of serving
+const replayArg = process.argv.indexOf('--replay');
+const REPLAY_FILE = replayArg === -1 ? null : (process.argv[replayArg + 1] || '');
+
+// `--worker` runs only the agents listed in AGENTS and talks to the main process
+// over the bus transport (see DISTRIBUTED AGENTS)
+const WORKER_MODE = process.argv.includes('--worker');
+const ALL_AGENTS = ['spotify', 'conversation', 'sentiment', 'speech'];
+const LOCAL_AGENTS = new Set(REPLAY_FILE === null && process.env.AGENTS
+  ? process.env.AGENTS.split(',').map(name => name.trim()).filter(Boolean)
+  : ALL_AGENTS);
+
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server });
@@ -35,7 +55,8 @@ app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ================== OPENAI CLIENT ==================
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Replay answers OpenAI calls from the recording, so it runs without a key
+const openai = new OpenAI({ apiKey: REPLAY_FILE === null ? process.env.OPENAI_API_KEY : 'replay' });
 
 // ================== MODEL CONFIGURATION ==================
 // Use latest models (as of Jan 2026)
@@ -49,7 +70,8 @@ const MODELS = {
 };
 
 // ================== LOGGING ==================
-const LOG_FILE = path.join(__dirname, 'server.log');
+const LOG_FILE = process.env.LOG_FILE || path.join(__dirname,
+  REPLAY_FILE !== null ? 'replay.log' : WORKER_MODE ? `worker-${[...LOCAL_AGENTS].join('-')}.log` : 'server.log');
 
 // Create/clear log file on startup
 fs.writeFileSync(LOG_FILE, `=== Music Buddy Server Started at ${new Date().toISOString()} ===\n\n`);
@@ -92,29 +114,56 @@ function logA2A(type, data) {
 }
 
 // ================== SPOTIFY TOKEN MANAGEMENT ==================
-const TOKEN_FILE = path.join(__dirname, '.spotify-tokens.json');
-let spotifyTokens = null;
-let webPlaybackDeviceId = null;
+// Tokens are kept per Spotify user (see spotify-accounts.js). A session uses the account it
+// linked with the spotify_login handshake, otherwise the default account.
+const TOKEN_FILE = process.env.SPOTIFY_TOKEN_FILE || path.join(__dirname, '.spotify-tokens.json');
+// Point these at spotify-mock.js to run without a Spotify account
+const SPOTIFY_API_URL = process.env.SPOTIFY_API_URL || 'https://api.spotify.com/v1';
+const SPOTIFY_ACCOUNTS_URL = process.env.SPOTIFY_ACCOUNTS_URL || 'https://accounts.spotify.com';
+const spotifyAccounts = new SpotifyAccountStore(TOKEN_FILE);
 
 function loadTokens() {
   try {
-    if (fs.existsSync(TOKEN_FILE)) {
-      spotifyTokens = JSON.parse(fs.readFileSync(TOKEN_FILE, 'utf8'));
-      log('INFO', 'SPOTIFY', 'Tokens loaded');
-    }
+    spotifyAccounts.load();
+    log('INFO', 'SPOTIFY', `Tokens loaded for ${spotifyAccounts.list().length} account(s)`);
   } catch (e) {
     log('ERROR', 'SPOTIFY', 'Token load error', e.message);
   }
 }
 
-async function refreshSpotifyToken() {
-  if (!spotifyTokens?.refresh_token) {
-    throw new Error('No refresh token');
+// Spotify rejected the stored refresh token - the user has to log in again (/auth/login)
+class SpotifyRelinkError extends Error {
+  constructor(userId, reason) {
+    super('Your Spotify login has expired. Please re-link Spotify.');
+    this.name = 'SpotifyRelinkError';
+    this.userId = userId;
+    this.reason = reason;
+  }
+}
+
+const spotifyRefreshes = new Map(); // userId -> pending refresh, so concurrent calls share one
+
+function refreshSpotifyToken(userId) {
+  if (!spotifyRefreshes.has(userId)) {
+    const refresh = requestTokenRefresh(userId).finally(() => spotifyRefreshes.delete(userId));
+    spotifyRefreshes.set(userId, refresh);
+  }
+  return spotifyRefreshes.get(userId);
+}
+
+// Only a successful response touches the stored tokens. A rejected refresh token (400/401)
+// flags the account for re-linking; anything else is left to the next attempt.
+async function requestTokenRefresh(userId) {
+  spotifyAccounts.load(); // Another process (worker, npm run auth) may have rotated the refresh token
+  const tokens = spotifyAccounts.get(userId);
+  if (!tokens?.refresh_token) {
+    throw new SpotifyRelinkError(userId, 'No refresh token');
   }
   
-  const response = await fetch('https://accounts.spotify.com/api/token', {
+  // Tokens from the PKCE login are refreshed with the client id alone
+  const response = await fetch(`${SPOTIFY_ACCOUNTS_URL}/api/token`, {
     method: 'POST',
-    headers: {
+    headers: tokens.pkce ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {
       'Content-Type': 'application/x-www-form-urlencoded',
       'Authorization': 'Basic ' + Buffer.from(
         `${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`
@@ -122,60 +171,363 @@ async function refreshSpotifyToken() {
     },
     body: new URLSearchParams({
       grant_type: 'refresh_token',
-      refresh_token: spotifyTokens.refresh_token
+      refresh_token: tokens.refresh_token,
+      ...(tokens.pkce && { client_id: process.env.SPOTIFY_CLIENT_ID })
     })
   });
   
-  const data = await response.json();
-  spotifyTokens.access_token = data.access_token;
-  spotifyTokens.expires_at = Date.now() + (data.expires_in * 1000);
+  const data = await response.json().catch(() => ({}));
   
-  if (data.refresh_token) {
-    spotifyTokens.refresh_token = data.refresh_token;
+  if (response.status === 400 || response.status === 401) {
+    const reason = data.error_description || data.error || `HTTP ${response.status}`;
+    log('ERROR', 'SPOTIFY', `Refresh token rejected for ${userId}: ${reason}`);
+    spotifyAccounts.set(userId, { ...tokens, relink_required: true });
+    throw new SpotifyRelinkError(userId, reason);
+  }
+  if (!response.ok || !data.access_token) {
+    throw new Error(`Spotify token refresh failed: ${response.status}`);
   }
   
-  fs.writeFileSync(TOKEN_FILE, JSON.stringify(spotifyTokens, null, 2));
-  return spotifyTokens.access_token;
+  const refreshed = {
+    ...tokens,
+    access_token: data.access_token,
+    expires_at: Date.now() + (data.expires_in * 1000),
+    refresh_token: data.refresh_token || tokens.refresh_token
+  };
+  spotifyAccounts.set(userId, refreshed);
+  log('INFO', 'SPOTIFY', `Access token refreshed for ${userId}`);
+  return refreshed.access_token;
 }
 
-async function getValidToken() {
-  if (!spotifyTokens) {
+// Sessions live in the main process, so workers ask for the linked account over the bus
+async function resolveSpotifyUser(sessionId) {
+  const linkedUserId = sessionId
+    ? await messageBus.request('session:account', { sessionId }, 2000).catch(() => null)
+    : null;
+  return linkedUserId || spotifyAccounts.defaultUserId();
+}
+
+// forceRefresh: the API answered 401, so the token is bad even if it hasn't expired
+async function getValidToken(sessionId = busContext.getStore()?.sessionId, { forceRefresh = false } = {}) {
+  const userId = await resolveSpotifyUser(sessionId);
+  if (!userId) {
+    throw new Error('No Spotify account linked to this session');
+  }
+  const tokens = spotifyAccounts.get(userId);
+  if (!tokens) {
     throw new Error('No Spotify token');
   }
   
-  if (Date.now() >= spotifyTokens.expires_at - 60000) {
-    return await refreshSpotifyToken();
+  try {
+    if (tokens.relink_required) {
+      throw new SpotifyRelinkError(userId, 'Refresh token was rejected earlier');
+    }
+    if (forceRefresh || Date.now() >= tokens.expires_at - 60000) {
+      return await refreshSpotifyToken(userId);
+    }
+  } catch (error) {
+    // Tell the browser so it can offer the login again
+    if (error instanceof SpotifyRelinkError && sessionId) {
+      messageBus.publish('client:spotify_relink', { sessionId, userId });
+    }
+    throw error;
   }
   
-  return spotifyTokens.access_token;
+  return tokens.access_token;
+}
+
+// Login handshake: /auth/callback (or spotify-auth.js) hands out { userId, key } and the
+// browser sends it as spotify_login
+function verifySpotifyLogin(userId, key) {
+  if (!spotifyAccounts.verifyLinkKey(userId, key)) {
+    throw new Error('Invalid Spotify login key');
+  }
+  const account = spotifyAccounts.get(userId);
+  if (!account) {
+    throw new Error(`No tokens stored for Spotify user ${userId} - run npm run auth`);
+  }
+  return { userId, displayName: account.display_name || userId };
 }
 
 loadTokens();
 
+// ================== BUS TRANSPORTS ==================
+// A transport carries bus events between processes: connect({ onMessage, onConnect }),
+// send(event, data) and close(). BUS_TRANSPORT picks one:
+//   memory (default) - single process, nothing leaves it
+//   socket           - the main process hosts a Unix socket (BUS_SOCKET) that workers dial
+//   redis            - every process publishes to one Redis channel (BUS_REDIS_URL, BUS_REDIS_CHANNEL)
+// Events cross process boundaries as JSON; Buffers (microphone audio) travel as base64
+function encodeBusMessage(message) {
+  return JSON.stringify(message, (key, value) =>
+    value?.type === 'Buffer' && Array.isArray(value.data)
+      ? { $buffer: Buffer.from(value.data).toString('base64') }
+      : value);
+}
+
+function decodeBusMessage(text) {
+  return JSON.parse(text, (key, value) =>
+    typeof value?.$buffer === 'string' ? Buffer.from(value.$buffer, 'base64') : value);
+}
+
+// Newline-delimited JSON over a Unix socket. The hub relays every line to all other peers.
+class SocketTransport {
+  constructor({ socketPath, hub }) {
+    this.socketPath = socketPath;
+    this.hub = hub;
+    this.peers = new Set();
+    this.socket = null;
+    this.closed = false;
+  }
+  
+  connect(handlers) {
+    this.handlers = handlers;
+    if (this.hub) {
+      this.listen();
+    } else {
+      this.dial();
+    }
+  }
+  
+  listen() {
+    // A socket file left by a crashed run would make listen() fail
+    fs.rmSync(this.socketPath, { force: true });
+    this.server = net.createServer(peer => {
+      this.peers.add(peer);
+      log('INFO', 'BUS', `Worker connected (${this.peers.size} connected)`);
+      this.readLines(peer, line => {
+        this.peers.forEach(other => other !== peer && other.write(line + '\n'));
+        this.receive(line);
+      });
+      peer.on('close', () => this.peers.delete(peer));
+      peer.on('error', error => log('ERROR', 'BUS', 'Worker connection error', error.message));
+    });
+    this.server.listen(this.socketPath, () => {
+      log('INFO', 'BUS', `Bus hub listening on ${this.socketPath}`);
+      this.handlers.onConnect();
+    });
+    process.on('exit', () => fs.rmSync(this.socketPath, { force: true }));
+  }
+  
+  dial() {
+    const socket = net.createConnection(this.socketPath);
+    socket.on('connect', () => {
+      this.socket = socket;
+      log('INFO', 'BUS', `Connected to bus hub at ${this.socketPath}`);
+      this.handlers.onConnect();
+    });
+    this.readLines(socket, line => this.receive(line));
+    socket.on('error', error => log('DEBUG', 'BUS', `Bus hub unavailable: ${error.message}`));
+    socket.on('close', () => {
+      this.socket = null;
+      if (!this.closed) setTimeout(() => this.dial(), 1000);
+    });
+  }
+  
+  readLines(socket, onLine) {
+    let buffered = '';
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffered += chunk;
+      let newline;
+      while ((newline = buffered.indexOf('\n')) !== -1) {
+        const line = buffered.slice(0, newline);
+        buffered = buffered.slice(newline + 1);
+        if (line) onLine(line);
+      }
+    });
+  }
+  
+  receive(line) {
+    try {
+      const { event, data } = decodeBusMessage(line);
+      this.handlers.onMessage(event, data);
+    } catch (error) {
+      log('ERROR', 'BUS', 'Dropped malformed bus message', error.message);
+    }
+  }
+  
+  send(event, data) {
+    const line = encodeBusMessage({ event, data }) + '\n';
+    if (this.hub) {
+      this.peers.forEach(peer => peer.write(line));
+    } else if (this.socket) {
+      this.socket.write(line);
+    }
+  }
+  
+  close() {
+    this.closed = true;
+    this.server?.close();
+    this.peers.forEach(peer => peer.destroy());
+    this.socket?.destroy();
+  }
+}
+
+// Redis pub/sub on one channel. Subscribed connections can't publish, so there are two;
+// each process tags its messages with an origin id and skips its own.
+class RedisTransport {
+  constructor({ url, channel }) {
+    this.url = new URL(url);
+    this.channel = channel;
+    this.origin = crypto.randomUUID();
+    this.closed = false;
+  }
+  
+  connect(handlers) {
+    this.handlers = handlers;
+    this.publisher = this.open('publisher', () => {});
+    this.subscriber = this.open('subscriber', reply => this.handleSubscriberReply(reply));
+  }
+  
+  // Open a connection that re-authenticates (and re-subscribes) after reconnects
+  open(role, onReply) {
+    const connection = { socket: null };
+    const dial = () => {
+      const socket = net.createConnection(Number(this.url.port) || 6379, this.url.hostname);
+      socket.on('connect', () => {
+        connection.socket = socket;
+        if (this.url.password) {
+          socket.write(encodeCommand(['AUTH', decodeURIComponent(this.url.password)]));
+        }
+        if (role === 'subscriber') {
+          socket.write(encodeCommand(['SUBSCRIBE', this.channel]));
+        }
+      });
+      const read = createReader(reply => {
+        if (reply instanceof Error) {
+          log('ERROR', 'BUS', `Redis ${role} error: ${reply.message}`);
+        } else {
+          onReply(reply);
+        }
+      });
+      socket.on('data', chunk => {
+        try {
+          read(chunk);
+        } catch (error) {
+          log('ERROR', 'BUS', `Bad reply from Redis: ${error.message}`);
+          socket.destroy();
+        }
+      });
+      socket.on('error', error => log('DEBUG', 'BUS', `Redis ${role} unavailable: ${error.message}`));
+      socket.on('close', () => {
+        connection.socket = null;
+        if (!this.closed) setTimeout(dial, 1000);
+      });
+    };
+    dial();
+    return connection;
+  }
+  
+  handleSubscriberReply(reply) {
+    if (!Array.isArray(reply)) return;
+    const [kind, channel, payload] = reply;
+    
+    if (kind === 'subscribe' && channel === this.channel) {
+      log('INFO', 'BUS', `Subscribed to Redis channel ${this.channel}`);
+      this.handlers.onConnect();
+    } else if (kind === 'message' && channel === this.channel) {
+      try {
+        const { origin, event, data } = decodeBusMessage(payload);
+        if (origin !== this.origin) this.handlers.onMessage(event, data);
+      } catch (error) {
+        log('ERROR', 'BUS', 'Dropped malformed bus message', error.message);
+      }
+    }
+  }
+  
+  send(event, data) {
+    this.publisher.socket?.write(encodeCommand([
+      'PUBLISH', this.channel, encodeBusMessage({ origin: this.origin, event, data })
+    ]));
+  }
+  
+  close() {
+    this.closed = true;
+    this.publisher.socket?.destroy();
+    this.subscriber.socket?.destroy();
+  }
+}
+
+function createBusTransport() {
+  const type = REPLAY_FILE === null ? process.env.BUS_TRANSPORT || 'memory' : 'memory';
+  switch (type) {
+    case 'memory':
+      return new InMemoryTransport();
+    case 'socket':
+      return new SocketTransport({
+        socketPath: process.env.BUS_SOCKET || path.join(os.tmpdir(), 'music-buddy-bus.sock'),
+        hub: !WORKER_MODE
+      });
+    case 'redis':
+      return new RedisTransport({
+        url: process.env.BUS_REDIS_URL || 'redis://127.0.0.1:6379',
+        channel: process.env.BUS_REDIS_CHANNEL || 'music-buddy:bus'
+      });
+    default:
+      throw new Error(`Unknown BUS_TRANSPORT: ${type} (expected memory, socket or redis)`);
+  }
+}
+
 // ================== MESSAGE BUS ==================
-class MessageBus {
-  constructor() {
-    this.subscribers = new Map();
+const messageBus = new MessageBus(createBusTransport(), { log });
+
+// ================== EVENT RECORDER ==================
+// Set BUS_RECORD_DIR to write every bus event to <dir>/<sessionId>.jsonl, one
+// { t, sessionId, event, data } object per line. Microphone audio is skipped unless
+// BUS_RECORD_AUDIO_SAMPLE=N keeps every Nth chunk; TTS audio is reduced to its size.
+class BusRecorder {
+  constructor(bus, { dir, audioSample = 0 }) {
+    this.dir = dir;
+    this.audioSample = audioSample;
+    this.audioChunks = 0;
+    this.streams = new Map(); // sessionId -> WriteStream
+    
+    fs.mkdirSync(dir, { recursive: true });
+    bus.subscribe('*', (data, event) => this.record(event, data));
+    log('INFO', 'RECORDER', `Recording bus events to ${dir}`);
+  }
+  
+  record(event, data) {
+    if (event === 'audio:received') {
+      if (!this.audioSample || ++this.audioChunks % this.audioSample !== 0) return;
+    }
+    
+    const sessionId = busContext.getStore()?.sessionId || 'global';
+    const stream = this.getStream(sessionId);
+    stream.write(JSON.stringify({ t: Date.now(), sessionId, event, data: this.serialize(event, data) }) + '\n');
+    
+    if (event === 'session:closed') {
+      stream.end();
+      this.streams.delete(sessionId);
+    }
   }
   
-  subscribe(event, callback) {
-    if (!this.subscribers.has(event)) {
-      this.subscribers.set(event, []);
+  serialize(event, data) {
+    if (event === 'audio:received') {
+      return { ...data, audioData: Buffer.from(data.audioData).toString('base64') };
     }
-    this.subscribers.get(event).push(callback);
+    if (event === 'client:audio') {
+      return { ...data, audio: { omittedBytes: Math.floor((data.audio?.length || 0) * 3 / 4) } };
+    }
+    return data;
   }
   
-  publish(event, data) {
-    // Skip noisy audio events from logging
-    if (event !== 'audio:received') {
-      log('DEBUG', 'BUS', `Event: ${event}`);
+  getStream(sessionId) {
+    if (!this.streams.has(sessionId)) {
+      const file = path.join(this.dir, `${sessionId.replace(/[^\w-]/g, '_')}.jsonl`);
+      this.streams.set(sessionId, fs.createWriteStream(file, { flags: 'a' }));
     }
-    const handlers = this.subscribers.get(event) || [];
-    handlers.forEach(handler => handler(data));
+    return this.streams.get(sessionId);
   }
 }
 
-const messageBus = new MessageBus();
+if (process.env.BUS_RECORD_DIR && REPLAY_FILE === null) {
+  new BusRecorder(messageBus, {
+    dir: path.resolve(__dirname, process.env.BUS_RECORD_DIR),
+    audioSample: parseInt(process.env.BUS_RECORD_AUDIO_SAMPLE, 10) || 0
+  });
+}
 
 // ================== A2A PROTOCOL IMPLEMENTATION ==================
 /**
@@ -250,16 +602,41 @@ class A2ATask {
     this.createdAt = Date.now();
     this.updatedAt = Date.now();
     this.history = [];
+    this.abortController = new AbortController();
+    this.listeners = new Set();
+  }
+  
+  // Register a listener for state transitions, returns an unsubscribe function
+  onUpdate(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  // Aborted when the task is canceled - handlers pass it to fetch/OpenAI calls
+  get signal() {
+    return this.abortController.signal;
+  }
+  
+  isFinal() {
+    return [TaskState.COMPLETED, TaskState.FAILED, TaskState.CANCELED].includes(this.state);
   }
   
-  updateState(newState, message = null) {
+  updateState(newState, message = null, details = null) {
     this.state = newState;
     this.updatedAt = Date.now();
-    this.history.push({
+    const entry = {
       state: newState,
       timestamp: this.updatedAt,
-      message
-    });
+      message,
+      ...details
+    };
+    this.history.push(entry);
+    this.listeners.forEach(listener => listener(this, entry));
+  }
+  
+  // Report a progress step while the task is still working
+  progress(message) {
+    this.updateState(TaskState.WORKING, message);
   }
   
   complete(output) {
@@ -267,11 +644,22 @@ class A2ATask {
     this.updateState(TaskState.COMPLETED);
   }
   
+  // Pause until the caller answers - the options stay in output and history
+  requireInput(request) {
+    this.output = request;
+    this.updateState(TaskState.INPUT_REQUIRED, request.message, { options: request.options });
+  }
+  
   fail(error) {
     this.error = error;
     this.updateState(TaskState.FAILED, error);
   }
   
+  cancel(reason = 'Canceled by client') {
+    this.updateState(TaskState.CANCELED, reason);
+    this.abortController.abort(new Error(reason));
+  }
+  
   toJSON() {
     return {
       id: this.id,
@@ -281,9 +669,189 @@ class A2ATask {
       input: this.input,
       output: this.output,
       error: this.error,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
       history: this.history
     };
   }
+  
+  // Rebuild a task saved with toJSON()
+  static fromJSON(data) {
+    const task = new A2ATask(data.skillId, data.input, data.sessionId);
+    task.id = data.id;
+    task.state = data.state;
+    task.output = data.output;
+    task.error = data.error;
+    task.createdAt = data.createdAt;
+    task.updatedAt = data.updatedAt;
+    task.history = data.history || [];
+    return task;
+  }
+}
+
+// A2A Task Stores - Map-compatible (get/set/has/delete/values/size) so the
+// protocol handler can swap them. Finished tasks expire after ttlMs, and once
+// maxSize is exceeded the oldest finished tasks are evicted first.
+class MemoryTaskStore {
+  constructor({ maxSize = 1000, ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+    this.tasks = new Map();
+    
+    this.pruneTimer = setInterval(() => this.prune(), 60000);
+    this.pruneTimer.unref();
+  }
+  
+  get size() {
+    return this.tasks.size;
+  }
+  
+  get(taskId) {
+    return this.tasks.get(taskId);
+  }
+  
+  has(taskId) {
+    return this.tasks.has(taskId);
+  }
+  
+  values() {
+    return this.tasks.values();
+  }
+  
+  set(taskId, task) {
+    this.tasks.set(taskId, task);
+    if (this.tasks.size > this.maxSize) {
+      this.evict();
+    }
+    this.changed();
+    return this;
+  }
+  
+  delete(taskId) {
+    const deleted = this.tasks.delete(taskId);
+    if (deleted) this.changed();
+    return deleted;
+  }
+  
+  // Hook for persistent stores
+  changed() {}
+  
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    let removed = 0;
+    
+    for (const [taskId, task] of this.tasks) {
+      if (task.isFinal() && task.updatedAt < cutoff) {
+        this.tasks.delete(taskId);
+        removed++;
+      }
+    }
+    
+    if (removed > 0) {
+      log('A2A', 'TASK_STORE', `Expired ${removed} tasks`);
+      this.changed();
+    }
+  }
+  
+  evict() {
+    const overflow = this.tasks.size - this.maxSize;
+    const all = Array.from(this.tasks.values());
+    // Running tasks are only evicted when nothing finished is left
+    const candidates = [...all.filter(t => t.isFinal()), ...all.filter(t => !t.isFinal())];
+    candidates.slice(0, overflow).forEach(task => this.tasks.delete(task.id));
+    log('A2A', 'TASK_STORE', `Evicted ${overflow} tasks (max ${this.maxSize})`);
+  }
+}
+
+// Strings longer than this (base64 audio, TTS clips) are not written to the task file
+const TASK_STORE_MAX_STRING = 2048;
+
+// JSON.stringify replacer - swaps binary payloads for a short placeholder
+function compactTaskValue(key, value) {
+  if (typeof value === 'string' && value.length > TASK_STORE_MAX_STRING) {
+    return `[${value.length} chars not stored]`;
+  }
+  if (value?.type === 'Buffer' && Array.isArray(value.data)) {
+    return `[${value.data.length} bytes not stored]`;
+  }
+  return value;
+}
+
+// Persists tasks to a JSON file so tasks/get keeps working across restarts
+class FileTaskStore extends MemoryTaskStore {
+  constructor({ file, ...options }) {
+    super(options);
+    this.file = file;
+    this.saveTimer = null;
+    this.saving = Promise.resolve(); // Writes run one at a time, in order
+    
+    this.load();
+    process.on('exit', () => this.flush());
+  }
+  
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      let interrupted = 0;
+      
+      for (const data of saved) {
+        const task = A2ATask.fromJSON(data);
+        // The handler that was running it is gone
+        if (task.state === TaskState.SUBMITTED || task.state === TaskState.WORKING) {
+          task.fail('Server restarted before the task finished');
+          interrupted++;
+        }
+        this.tasks.set(task.id, task);
+      }
+      
+      log('A2A', 'TASK_STORE', `Recovered ${this.tasks.size} tasks (${interrupted} marked failed)`);
+      
+      this.prune();
+      if (this.tasks.size > this.maxSize) this.evict();
+      if (interrupted > 0) this.changed();
+    } catch (e) {
+      log('ERROR', 'TASK_STORE', 'Task store load error', e.message);
+    }
+  }
+  
+  // Debounce writes - a single task changes state several times per second
+  changed() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), 1000);
+  }
+  
+  serialize() {
+    return JSON.stringify(Array.from(this.tasks.values()).map(task => task.toJSON()), compactTaskValue);
+  }
+  
+  // Async write, chained after the previous one so an older snapshot never lands last
+  save() {
+    this.saveTimer = null;
+    const data = this.serialize();
+    const tmpFile = `${this.file}.tmp`;
+    
+    this.saving = this.saving
+      .then(() => fs.promises.writeFile(tmpFile, data))
+      .then(() => fs.promises.rename(tmpFile, this.file))
+      .catch(e => log('ERROR', 'TASK_STORE', 'Task store save error', e.message));
+    return this.saving;
+  }
+  
+  // Synchronous final write on exit, when pending async writes can no longer finish
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    
+    try {
+      const tmpFile = `${this.file}.tmp`;
+      fs.writeFileSync(tmpFile, this.serialize());
+      fs.renameSync(tmpFile, this.file);
+    } catch (e) {
+      log('ERROR', 'TASK_STORE', 'Task store save error', e.message);
+    }
+  }
 }
 
 // A2A Message - JSON-RPC 2.0 format
@@ -314,105 +882,740 @@ class A2AMessage {
   }
 }
 
-// A2A Protocol Handler - Routes messages between agents
-class A2AProtocolHandler {
-  constructor(bus) {
-    this.bus = bus;
-    this.agents = new Map(); // agentId -> AgentCard
-    this.tasks = new Map();  // taskId -> A2ATask
-    this.agentHandlers = new Map(); // skillId -> handler function
-    
-    // Subscribe to A2A events
-    bus.subscribe('a2a:task:send', (data) => this.handleTaskSend(data));
-    bus.subscribe('a2a:task:complete', (data) => this.handleTaskComplete(data));
-    bus.subscribe('a2a:task:fail', (data) => this.handleTaskFail(data));
-    
-    log('A2A', 'PROTOCOL', 'A2A Protocol Handler initialized');
+// A2A Error - carries a JSON-RPC error code up to the endpoint
+class A2AError extends Error {
+  constructor(code, message, data = null) {
+    super(message);
+    this.name = 'A2AError';
+    this.code = code;
+    this.data = data;
   }
+}
+
+// Validate a value against the JSON Schema subset used by skill parameters
+// (type, properties, required, enum, minimum/maximum, minLength/maxLength, items).
+// Returns a list of { path, message } violations - empty when valid.
+function validateSchema(schema, value, path = 'input') {
+  if (!schema) return [];
+  const errors = [];
   
-  // Register an agent with its capabilities
-  registerAgent(agentId, card, handlers = {}) {
-    this.agents.set(agentId, card);
-    
-    // Register skill handlers
-    for (const skill of card.skills) {
-      if (handlers[skill.id]) {
-        this.agentHandlers.set(skill.id, handlers[skill.id]);
-      }
-    }
-    
-    log('A2A', 'PROTOCOL', `Agent registered: ${card.name}`, { skills: card.skills.map(s => s.id) });
-  }
+  const typeOf = (v) => {
+    if (v === null) return 'null';
+    if (Array.isArray(v)) return 'array';
+    if (typeof v === 'number' && Number.isInteger(v)) return 'integer';
+    return typeof v;
+  };
+  const actualType = typeOf(value);
+  const typeMatches = !schema.type
+    || schema.type === actualType
+    || (schema.type === 'number' && actualType === 'integer');
   
-  // Get agent card (for discovery)
-  getAgentCard(agentId) {
-    return this.agents.get(agentId)?.toJSON();
+  if (!typeMatches) {
+    errors.push({ path, message: `must be ${schema.type}, got ${actualType}` });
+    return errors;
   }
   
-  // List all registered agents
-  listAgents() {
-    return Array.from(this.agents.entries()).map(([id, card]) => ({
-      id,
-      ...card.toJSON()
-    }));
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
   }
   
-  // Send a task to an agent
-  async sendTask(skillId, input, sessionId) {
-    const task = new A2ATask(skillId, input, sessionId);
-    this.tasks.set(task.id, task);
-    
-    log('A2A', 'PROTOCOL', `Task created: ${task.id}`, { skillId, input });
-    
-    // Find handler for this skill
-    const handler = this.agentHandlers.get(skillId);
-    if (!handler) {
-      task.fail(`No handler for skill: ${skillId}`);
-      return task;
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
     }
-    
-    // Execute the task
-    task.updateState(TaskState.WORKING);
-    
-    try {
-      const result = await handler(input, sessionId, task);
-      task.complete(result);
-    } catch (error) {
-      task.fail(error.message);
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
     }
-    
-    return task;
   }
   
-  // Handle incoming task send events
-  async handleTaskSend(data) {
-    const { skillId, input, sessionId, responseEvent } = data;
-    const task = await this.sendTask(skillId, input, sessionId);
-    
-    // Publish result if response event specified
-    if (responseEvent) {
-      this.bus.publish(responseEvent, {
-        sessionId,
-        task: task.toJSON(),
-        result: task.output,
-        error: task.error
-      });
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
     }
-    
-    return task;
   }
   
-  handleTaskComplete(data) {
-    const { taskId, output } = data;
-    const task = this.tasks.get(taskId);
-    if (task) {
-      task.complete(output);
-      log('A2A', 'PROTOCOL', `Task completed: ${taskId}`);
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+      }
     }
   }
   
-  handleTaskFail(data) {
-    const { taskId, error } = data;
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+  
+  return errors;
+}
+
+// Rejects as soon as the signal aborts, otherwise settles with the promise (or plain value)
+function abortable(promise, signal) {
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    Promise.resolve(promise).then(resolve, reject);
+  });
+}
+
+// Outbound URLs (webhooks) are fetched by this server, so they may not point at loopback,
+// link-local or private networks (SSRF) - except hosts listed in A2A_ALLOWED_HOSTS
+const INTERNAL_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  INTERNAL_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  INTERNAL_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+const ALLOWED_INTERNAL_HOSTS = new Set((process.env.A2A_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean));
+
+function isInternalAddress(address) {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  return family !== 0 && INTERNAL_NETWORKS.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+const outboundHost = (url) => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// Parses an outbound URL and rejects non-http(s) schemes and internal hosts written as such
+function checkOutboundUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error('Invalid url');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('Url must be http(s)');
+  }
+  
+  const host = outboundHost(url);
+  if (!ALLOWED_INTERNAL_HOSTS.has(host) && (host === 'localhost' || host.endsWith('.localhost') || isInternalAddress(host))) {
+    throw new Error(`Url points to an internal address: ${host}`);
+  }
+  return url;
+}
+
+class BlockedAddressError extends Error {}
+
+// dns.lookup() that refuses internal addresses - passed to http.request() so the connection
+// goes to the address that was checked, not to a second answer from a rebinding DNS server
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const internal = addresses.find(entry => isInternalAddress(entry.address));
+    if (internal && !ALLOWED_INTERNAL_HOSTS.has(hostname.toLowerCase())) {
+      return callback(new BlockedAddressError(`${hostname} resolves to an internal address: ${internal.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// fetch() for URLs that clients hand us: checked with checkOutboundUrl() and publicLookup(),
+// and redirects come back as 3xx responses instead of being followed to unchecked hosts
+function outboundFetch(value, { method = 'GET', headers = {}, body = null, signal = null } = {}) {
+  const url = checkOutboundUrl(value);
+  const client = url.protocol === 'https:' ? https : http;
+  
+  return new Promise((resolve, reject) => {
+    const fail = (error) => reject(signal?.aborted ? signal.reason : error);
+    const request = client.request(url, { method, headers, signal, lookup: publicLookup }, (response) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('error', fail);
+      response.on('end', () => {
+        const content = Buffer.concat(chunks);
+        resolve(new Response(content.length > 0 ? content : null, { status: response.statusCode, headers: { 'Content-Type': response.headers['content-type'] || '' } }));
+      });
+    });
+    request.on('error', fail);
+    request.end(body);
+  });
+}
+
+// A2A Push Notifications - POSTs signed task state changes to registered webhooks
+// Payloads are signed with HMAC-SHA256 over `${timestamp}.${body}` and sent as
+// X-A2A-Signature: sha256=<hex>, so receivers can verify them with the shared secret.
+// Session webhooks expire once the session has had no task updates for this long
+const PUSH_SESSION_IDLE_MS = 60 * 60 * 1000;
+
+class PushNotificationService {
+  constructor() {
+    this.configs = new Map(); // 'task:<id>' | 'session:<id>' -> { url, token, secret, expiresAt }
+    this.deliveryChains = new Map(); // taskId -> promise (keeps deliveries in order)
+    this.maxAttempts = 5;
+    this.baseDelayMs = 1000;
+  }
+  
+  setConfig(target, config) {
+    let url;
+    try {
+      url = checkOutboundUrl(config?.url);
+    } catch (error) {
+      throw new A2AError(-32602, `Invalid push notification url: ${error.message}`);
+    }
+    
+    this.removeExpired();
+    const stored = {
+      url: url.toString(),
+      token: config.token || null,
+      secret: config.secret || crypto.randomBytes(32).toString('hex'),
+      expiresAt: target.startsWith('session:') ? Date.now() + PUSH_SESSION_IDLE_MS : null
+    };
+    this.configs.set(target, stored);
+    log('A2A', 'PUSH', `Webhook registered for ${target}`, { url: stored.url });
+    return stored;
+  }
+  
+  getConfig(target) {
+    const config = this.getLiveConfig(target);
+    if (!config) return null;
+    // Never echo the signing secret after registration
+    return { url: config.url, token: config.token };
+  }
+  
+  getLiveConfig(target) {
+    const config = this.configs.get(target);
+    if (config?.expiresAt && config.expiresAt < Date.now()) {
+      this.configs.delete(target);
+      log('A2A', 'PUSH', `Webhook expired for ${target}`);
+      return null;
+    }
+    return config || null;
+  }
+  
+  removeExpired() {
+    for (const target of this.configs.keys()) {
+      this.getLiveConfig(target);
+    }
+  }
+  
+  removeConfig(target) {
+    return this.configs.delete(target);
+  }
+  
+  notify(task, entry) {
+    const targets = [`task:${task.id}`, `session:${task.sessionId}`];
+    const configs = targets.map(t => this.getLiveConfig(t)).filter(Boolean);
+    
+    // Task webhooks end with the task; session webhooks live on while the session has tasks
+    if (task.isFinal()) {
+      this.configs.delete(`task:${task.id}`);
+    }
+    const sessionConfig = this.configs.get(`session:${task.sessionId}`);
+    if (sessionConfig) {
+      sessionConfig.expiresAt = Date.now() + PUSH_SESSION_IDLE_MS;
+    }
+    if (configs.length === 0) return;
+    
+    const payload = {
+      id: task.id,
+      sessionId: task.sessionId,
+      skillId: task.skillId,
+      status: { state: entry.state, message: entry.message, timestamp: entry.timestamp },
+      final: task.isFinal(),
+      output: [TaskState.COMPLETED, TaskState.INPUT_REQUIRED].includes(task.state) ? task.output : null,
+      error: task.error
+    };
+    
+    const previous = this.deliveryChains.get(task.id) || Promise.resolve();
+    const chain = previous.then(() => Promise.all(configs.map(config => this.deliver(config, payload))));
+    this.deliveryChains.set(task.id, chain);
+    
+    if (task.isFinal()) {
+      chain.then(() => {
+        if (this.deliveryChains.get(task.id) === chain) {
+          this.deliveryChains.delete(task.id);
+        }
+      });
+    }
+  }
+  
+  sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+  
+  // Retries network errors, 429 and 5xx with exponential backoff; never throws
+  async deliver(config, payload) {
+    const body = JSON.stringify(payload);
+    
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const timestamp = Date.now().toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-A2A-Timestamp': timestamp,
+        'X-A2A-Signature': this.sign(config.secret, timestamp, body)
+      };
+      if (config.token) {
+        headers['Authorization'] = `Bearer ${config.token}`;
+      }
+      
+      try {
+        const response = await outboundFetch(config.url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(10000)
+        });
+        
+        if (response.ok) {
+          log('A2A', 'PUSH', `Delivered ${payload.status.state} for ${payload.id}`, { url: config.url, attempt });
+          return true;
+        }
+        if (response.status !== 429 && response.status < 500) {
+          log('ERROR', 'PUSH', `Webhook rejected ${payload.id}: ${response.status}`, { url: config.url });
+          return false;
+        }
+        log('A2A', 'PUSH', `Webhook returned ${response.status}, attempt ${attempt}/${this.maxAttempts}`);
+      } catch (error) {
+        if (error instanceof BlockedAddressError) {
+          log('ERROR', 'PUSH', `Webhook blocked for ${payload.id}: ${error.message}`, { url: config.url });
+          return false;
+        }
+        log('A2A', 'PUSH', `Webhook error: ${error.message}, attempt ${attempt}/${this.maxAttempts}`);
+      }
+      
+      if (attempt < this.maxAttempts) {
+        const delay = this.baseDelayMs * 2 ** (attempt - 1);
+        await new Promise(r => setTimeout(r, delay + Math.random() * delay / 2));
+      }
+    }
+    
+    log('ERROR', 'PUSH', `Giving up on webhook for ${payload.id}`, { url: config.url });
+    return false;
+  }
+}
+
+// Remote A2A Agent - An external agent discovered through its agent.json,
+// whose skills are proxied over JSON-RPC tasks/send
+class RemoteAgent {
+  constructor(url, { timeoutMs = 15000, healthIntervalMs = 30000 } = {}) {
+    const cardUrl = checkOutboundUrl(url);
+    if (!cardUrl.pathname.endsWith('.json')) {
+      cardUrl.pathname = cardUrl.pathname.replace(/\/$/, '') + '/.well-known/agent.json';
+    }
+    this.cardUrl = cardUrl.toString();
+    this.rpcUrl = null;
+    this.card = null;
+    this.healthy = false;
+    this.lastCheckedAt = null;
+    this.lastError = null;
+    this.timeoutMs = timeoutMs;
+    this.healthIntervalMs = healthIntervalMs;
+    this.healthTimer = null;
+  }
+  
+  // outboundFetch() that gives up after timeoutMs and follows an optional caller signal.
+  // The card picks the RPC url, so every request is checked, not just the registered one.
+  async fetchWithTimeout(url, options = {}, signal = null) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error(`Remote agent timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    try {
+      return await outboundFetch(url, { ...options, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+  
+  // Fetch the agent card; doubles as the health check
+  async refresh() {
+    this.lastCheckedAt = Date.now();
+    try {
+      const response = await this.fetchWithTimeout(this.cardUrl);
+      if (!response.ok) {
+        throw new Error(`Agent card request failed: ${response.status}`);
+      }
+      
+      const cardJson = await response.json();
+      if (!cardJson?.name || !Array.isArray(cardJson.skills)) {
+        throw new Error('Invalid agent card');
+      }
+      
+      this.card = new AgentCard(cardJson);
+      this.rpcUrl = cardJson.url || new URL('/api/a2a/rpc', this.cardUrl).toString();
+      this.healthy = true;
+      this.lastError = null;
+      return this.card;
+    } catch (error) {
+      this.healthy = false;
+      this.lastError = error.message;
+      throw error;
+    }
+  }
+  
+  startHealthChecks(onRefresh) {
+    clearInterval(this.healthTimer);
+    this.healthTimer = setInterval(async () => {
+      const wasHealthy = this.healthy;
+      try {
+        await this.refresh();
+        onRefresh(this);
+        if (!wasHealthy) log('A2A', 'REMOTE', `Remote agent back online: ${this.card.name}`);
+      } catch (error) {
+        if (wasHealthy) log('ERROR', 'REMOTE', `Remote agent unhealthy: ${this.cardUrl}`, error.message);
+      }
+    }, this.healthIntervalMs);
+    this.healthTimer.unref();
+  }
+  
+  stopHealthChecks() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+  
+  // remoteTaskId: answer a remote task that is waiting for input instead of starting a new one
+  async sendTask(skillId, input, sessionId, signal = null, remoteTaskId = null) {
+    if (!this.healthy) {
+      throw new Error(`Remote agent unavailable: ${this.card?.name || this.cardUrl}`);
+    }
+    
+    const params = remoteTaskId ? { taskId: remoteTaskId, input } : { skillId, input, sessionId };
+    const request = A2AMessage.createRequest('tasks/send', params);
+    log('A2A', 'REMOTE', `Proxying ${skillId} to ${this.rpcUrl}`);
+    
+    const response = await this.fetchWithTimeout(this.rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    }, signal);
+    
+    const message = await response.json();
+    if (message.error) {
+      throw new Error(`Remote agent error: ${message.error.message}`);
+    }
+    
+    const remoteTask = message.result;
+    if (remoteTask?.state === TaskState.FAILED) {
+      throw new Error(remoteTask.error || 'Remote task failed');
+    }
+    if (remoteTask?.state === TaskState.INPUT_REQUIRED) {
+      // The local task waits too; its follow-up is forwarded to the same remote task
+      return {
+        ...remoteTask.output,
+        message: remoteTask.output?.message || remoteTask.history?.at(-1)?.message,
+        inputRequired: true,
+        remoteTaskId: remoteTask.id
+      };
+    }
+    return remoteTask?.output ?? remoteTask;
+  }
+  
+  getStatus() {
+    return {
+      cardUrl: this.cardUrl,
+      rpcUrl: this.rpcUrl,
+      healthy: this.healthy,
+      lastCheckedAt: this.lastCheckedAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+// A2A Protocol Handler - Routes messages between agents
+class A2AProtocolHandler {
+  // options.busTasks: handle a2a:task:* bus events - off in workers so only the main process runs them
+  constructor(bus, taskStore = new MemoryTaskStore(), authentication = { schemes: [] }, options = {}) {
+    this.bus = bus;
+    this.authentication = authentication; // Published in every registered agent card
+    this.agents = new Map(); // agentId -> AgentCard
+    this.tasks = taskStore;  // taskId -> A2ATask
+    this.agentHandlers = new Map(); // skillId -> handler function
+    this.skillSchemas = new Map(); // skillId -> parameters JSON Schema
+    this.skillScopes = new Map(); // skillId -> auth scope required to run it
+    this.remoteAgents = new Map(); // agentId -> RemoteAgent
+    this.skillAgents = new Map(); // skillId -> agentId
+    this.serializedAgents = new Set(); // agentIds whose tasks must not run concurrently
+    this.pushNotifications = new PushNotificationService();
+    bus.subscribe('session:closed', ({ sessionId }) => this.pushNotifications.removeConfig(`session:${sessionId}`));
+    
+    // Subscribe to A2A events
+    if (options.busTasks !== false) {
+      bus.subscribe('a2a:task:send', (data) => this.handleTaskSend(data));
+      bus.subscribe('a2a:task:complete', (data) => this.handleTaskComplete(data));
+      bus.subscribe('a2a:task:fail', (data) => this.handleTaskFail(data));
+      bus.subscribe('a2a:task:cancel', (data) => this.handleTaskCancel(data));
+    }
+    
+    log('A2A', 'PROTOCOL', 'A2A Protocol Handler initialized');
+  }
+  
+  // Register an agent with its capabilities
+  // options.serialize: the agent's skills share state (e.g. one Spotify player),
+  // so batched tasks for it run one after another
+  registerAgent(agentId, card, handlers = {}, options = {}) {
+    card.authentication = this.authentication;
+    // Webhooks are delivered by the protocol, so every registered agent supports them
+    card.capabilities = { ...card.capabilities, pushNotifications: true };
+    this.agents.set(agentId, card);
+    
+    if (options.serialize) {
+      this.serializedAgents.add(agentId);
+    }
+    
+    // Register skill handlers
+    for (const skill of card.skills) {
+      if (handlers[skill.id]) {
+        this.agentHandlers.set(skill.id, handlers[skill.id]);
+        this.skillSchemas.set(skill.id, skill.parameters || null);
+        this.skillScopes.set(skill.id, skill.scope || 'tasks:send');
+        this.skillAgents.set(skill.id, agentId);
+      }
+    }
+    
+    log('A2A', 'PROTOCOL', `Agent registered: ${card.name}`, { skills: card.skills.map(s => s.id) });
+  }
+  
+  // Register an external agent by its base or agent.json URL
+  async registerRemoteAgent(url, agentId = null, options = {}) {
+    let remote;
+    try {
+      remote = new RemoteAgent(url, options);
+    } catch (error) {
+      throw new A2AError(-32602, `Invalid remote agent url: ${error.message}`);
+    }
+    const card = await remote.refresh();
+    const id = agentId || card.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    
+    if (this.agents.has(id) && !this.remoteAgents.has(id)) {
+      throw new A2AError(-32602, `Agent id already used by a local agent: ${id}`);
+    }
+    
+    this.remoteAgents.get(id)?.stopHealthChecks();
+    this.remoteAgents.set(id, remote);
+    this.registerRemoteSkills(id, remote);
+    remote.startHealthChecks(() => this.registerRemoteSkills(id, remote));
+    
+    return { id, ...this.agents.get(id).toJSON(), remote: remote.getStatus() };
+  }
+  
+  // (Re)register a remote agent's skills - local skills always win on conflicts
+  registerRemoteSkills(agentId, remote) {
+    const previous = this.agents.get(agentId);
+    for (const skill of previous?.skills || []) {
+      this.agentHandlers.delete(skill.id);
+      this.skillSchemas.delete(skill.id);
+      this.skillScopes.delete(skill.id);
+      this.skillAgents.delete(skill.id);
+    }
+    
+    // Remote scopes mean nothing here - proxied skills share one scope
+    const skills = remote.card.skills.filter(skill => {
+      if (this.agentHandlers.has(skill.id)) {
+        log('A2A', 'REMOTE', `Skipping remote skill ${skill.id}: already provided locally`);
+        return false;
+      }
+      return true;
+    }).map(skill => ({ ...skill, scope: 'agents:remote' }));
+    
+    const card = new AgentCard({ ...remote.card.toJSON(), skills });
+    const handlers = Object.fromEntries(skills.map(skill => [
+      skill.id,
+      (input, sessionId, task) => remote.sendTask(skill.id, input, sessionId, task.signal, task.output?.remoteTaskId)
+    ]));
+    
+    this.registerAgent(agentId, card, handlers);
+  }
+  
+  // Agent id when the skill's agent is serialized, otherwise null
+  getSerializedAgent(skillId) {
+    const agentId = this.skillAgents.get(skillId);
+    return this.serializedAgents.has(agentId) ? agentId : null;
+  }
+  
+  // Auth scope a caller needs to run a skill
+  getSkillScope(skillId) {
+    return this.skillScopes.get(skillId) || 'tasks:send';
+  }
+  
+  // Get agent card (for discovery)
+  getAgentCard(agentId) {
+    return this.agents.get(agentId)?.toJSON();
+  }
+  
+  // List all registered agents
+  listAgents() {
+    return Array.from(this.agents.entries()).map(([id, card]) => ({
+      id,
+      ...card.toJSON(),
+      ...(this.remoteAgents.has(id) && { remote: this.remoteAgents.get(id).getStatus() })
+    }));
+  }
+  
+  // Send a task to an agent
+  async sendTask(skillId, input, sessionId, pushNotification = null) {
+    return await this.runTask(this.createTask(skillId, input, sessionId, pushNotification));
+  }
+  
+  // Create a submitted task without running it (lets callers subscribe first)
+  // Missing input and sessionId get the same defaults as the REST endpoint
+  createTask(skillId, input, sessionId, pushNotification = null) {
+    input = input ?? {};
+    sessionId = sessionId || 'api';
+    this.validateInput(skillId, input);
+    
+    const task = new A2ATask(skillId, input, sessionId);
+    // Stored only once the webhook is accepted, so a rejected one leaves no task behind
+    if (pushNotification) {
+      this.pushNotifications.setConfig(`task:${task.id}`, pushNotification);
+    }
+    this.tasks.set(task.id, task);
+    task.onUpdate((updatedTask, entry) => {
+      this.tasks.set(updatedTask.id, updatedTask);
+      this.pushNotifications.notify(updatedTask, entry);
+    });
+    
+    log('A2A', 'PROTOCOL', `Task created: ${task.id}`, { skillId, input });
+    return task;
+  }
+  
+  // Reject input that doesn't match the skill's declared parameters (-32602)
+  validateInput(skillId, input) {
+    const errors = validateSchema(this.skillSchemas.get(skillId), input ?? {});
+    if (errors.length > 0) {
+      log('A2A', 'PROTOCOL', `Invalid input for ${skillId}`, errors);
+      throw new A2AError(-32602, 'Invalid params', { skillId, errors });
+    }
+  }
+  
+  // Continue an input-required task with the caller's reply (tasks/send with a taskId)
+  resumeTask(taskId, reply) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new A2AError(-32002, 'Task not found');
+    }
+    if (task.state !== TaskState.INPUT_REQUIRED) {
+      throw new A2AError(-32007, `Task is not waiting for input: ${task.state}`);
+    }
+    
+    const input = { ...task.input, ...reply };
+    this.validateInput(task.skillId, input);
+    task.input = input;
+    return task;
+  }
+  
+  async continueTask(taskId, reply) {
+    return await this.runTask(this.resumeTask(taskId, reply), reply);
+  }
+  
+  async runTask(task, reply = null) {
+    const { skillId, input, sessionId } = task;
+    
+    // Find handler for this skill
+    const handler = this.agentHandlers.get(skillId);
+    if (!handler) {
+      task.fail(`No handler for skill: ${skillId}`);
+      return task;
+    }
+    
+    // Execute the task
+    if (reply) {
+      task.updateState(TaskState.WORKING, 'Input received', { input: reply });
+    } else {
+      task.updateState(TaskState.WORKING);
+    }
+    
+    try {
+      const result = await abortable(busContext.run({ sessionId }, () => handler(input, sessionId, task)), task.signal);
+      if (result?.inputRequired) {
+        task.requireInput(result);
+      } else {
+        task.complete(result);
+      }
+    } catch (error) {
+      // A canceled task keeps its canceled state even if the handler rejects
+      if (task.state !== TaskState.CANCELED) {
+        task.fail(error.message);
+      }
+    }
+    
+    return task;
+  }
+  
+  // Register a webhook for one task ({ taskId }) or every task of a session ({ sessionId })
+  setPushNotification({ taskId, sessionId, pushNotificationConfig }) {
+    const target = this.getPushTarget(taskId, sessionId);
+    const config = this.pushNotifications.setConfig(target, pushNotificationConfig);
+    return { taskId, sessionId, pushNotificationConfig: config };
+  }
+  
+  getPushNotification({ taskId, sessionId }) {
+    const target = this.getPushTarget(taskId, sessionId);
+    return { taskId, sessionId, pushNotificationConfig: this.pushNotifications.getConfig(target) };
+  }
+  
+  removePushNotification({ taskId, sessionId }) {
+    const target = this.getPushTarget(taskId, sessionId);
+    return { taskId, sessionId, removed: this.pushNotifications.removeConfig(target) };
+  }
+  
+  getPushTarget(taskId, sessionId) {
+    if (taskId) {
+      if (!this.tasks.has(taskId)) throw new A2AError(-32002, 'Task not found');
+      return `task:${taskId}`;
+    }
+    if (sessionId) return `session:${sessionId}`;
+    throw new A2AError(-32602, 'taskId or sessionId is required');
+  }
+  
+  // Cancel a running task and abort its in-flight work
+  cancelTask(taskId, reason) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new A2AError(-32002, 'Task not found');
+    }
+    if (task.isFinal()) {
+      throw new A2AError(-32004, `Task cannot be canceled in state: ${task.state}`);
+    }
+    
+    task.cancel(reason);
+    log('A2A', 'PROTOCOL', `Task canceled: ${taskId}`, reason);
+    return task;
+  }
+  
+  // Handle incoming task send events
+  async handleTaskSend(data) {
+    const { skillId, input, sessionId, responseEvent } = data;
+    const task = await this.sendTask(skillId, input, sessionId);
+    
+    // Publish result if response event specified
+    if (responseEvent) {
+      this.bus.publish(responseEvent, {
+        sessionId,
+        task: task.toJSON(),
+        result: task.output,
+        error: task.error
+      });
+    }
+    
+    return task;
+  }
+  
+  handleTaskComplete(data) {
+    const { taskId, output } = data;
+    const task = this.tasks.get(taskId);
+    if (task) {
+      task.complete(output);
+      log('A2A', 'PROTOCOL', `Task completed: ${taskId}`);
+    }
+  }
+  
+  handleTaskFail(data) {
+    const { taskId, error } = data;
     const task = this.tasks.get(taskId);
     if (task) {
       task.fail(error);
@@ -420,10 +1623,85 @@ class A2AProtocolHandler {
     }
   }
   
+  handleTaskCancel(data) {
+    const { taskId, reason } = data;
+    try {
+      this.cancelTask(taskId, reason);
+    } catch (error) {
+      log('A2A', 'PROTOCOL', `Cancel ignored: ${taskId}`, error.message);
+    }
+  }
+  
   // Get task status
   getTask(taskId) {
     return this.tasks.get(taskId)?.toJSON();
   }
+  
+  // Query tasks newest first - filters: sessionId, skillId, state (one or many),
+  // since/until (ISO date or epoch ms, matched on createdAt); paged with an opaque cursor
+  listTasks(params = {}) {
+    const { sessionId, skillId, cursor } = params;
+    const states = params.state === undefined ? null : [].concat(params.state);
+    const validStates = Object.values(TaskState);
+    const badState = states?.find(state => !validStates.includes(state));
+    if (badState !== undefined) {
+      throw new A2AError(-32602, 'Invalid params', { state: `must be one of: ${validStates.join(', ')}` });
+    }
+    
+    const since = parseTimeParam(params.since, 'since');
+    const until = parseTimeParam(params.until, 'until');
+    const limit = params.limit === undefined ? TASK_LIST_DEFAULT_LIMIT : Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > TASK_LIST_MAX_LIMIT) {
+      throw new A2AError(-32602, 'Invalid params', { limit: `must be an integer between 1 and ${TASK_LIST_MAX_LIMIT}` });
+    }
+    const after = cursor ? decodeTaskCursor(cursor) : null;
+    
+    const matches = Array.from(this.tasks.values())
+      .filter(task => (!sessionId || task.sessionId === sessionId)
+        && (!skillId || task.skillId === skillId)
+        && (!states || states.includes(task.state))
+        && (since === null || task.createdAt >= since)
+        && (until === null || task.createdAt <= until))
+      .sort(compareTasksNewestFirst)
+      .filter(task => !after || compareTasksNewestFirst(task, after) > 0);
+    
+    const page = matches.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      tasks: page.map(task => task.toJSON()),
+      nextCursor: matches.length > limit ? encodeTaskCursor(last) : null
+    };
+  }
+}
+
+const TASK_LIST_DEFAULT_LIMIT = 50;
+const TASK_LIST_MAX_LIMIT = 200;
+
+// Newest first; the id breaks ties between tasks created in the same millisecond
+function compareTasksNewestFirst(a, b) {
+  return (b.createdAt - a.createdAt) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+// Cursors point at the last task of a page so paging stays stable while new tasks arrive
+function encodeTaskCursor(task) {
+  return Buffer.from(JSON.stringify({ createdAt: task.createdAt, id: task.id })).toString('base64url');
+}
+
+function decodeTaskCursor(cursor) {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (Number.isFinite(createdAt) && typeof id === 'string') return { createdAt, id };
+  } catch {}
+  throw new A2AError(-32602, 'Invalid params', { cursor: 'is not a valid cursor' });
+}
+
+function parseTimeParam(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new A2AError(-32602, 'Invalid params', { [name]: 'must be an ISO date or epoch milliseconds' });
+  }
+  return time;
 }
 
 // Global A2A Protocol Handler
@@ -465,11 +1743,185 @@ class ResponseManager {
 
 const responseManager = new ResponseManager();
 
+// ================== MOOD RECOMMENDATIONS ==================
+// Picks "my calm music": candidates come from the user's top tracks, recent plays and the
+// top tracks of their favourite artists, are kept when the artist's genres fit the mood,
+// and are ranked by mood fit plus how much the user listens to them.
+// (Spotify's /recommendations and audio-features endpoints are closed to new apps.)
+const MOOD_PROFILES = {
+  happy: { search: 'happy upbeat pop hits', genres: ['pop', 'dance', 'funk', 'disco', 'reggae', 'indie pop'], avoid: ['metal', 'doom', 'emo'] },
+  sad: { search: 'sad emotional acoustic', genres: ['acoustic', 'soul', 'singer-songwriter', 'blues', 'ballad', 'emo', 'slowcore'], avoid: ['dance', 'edm', 'party'] },
+  energetic: { search: 'energetic workout dance', genres: ['dance', 'edm', 'electro', 'house', 'rock', 'punk', 'hip hop', 'drum and bass'], avoid: ['ambient', 'sleep', 'acoustic'] },
+  calm: { search: 'calm relaxing ambient', genres: ['ambient', 'acoustic', 'classical', 'piano', 'new age', 'folk', 'chill', 'sleep'], avoid: ['metal', 'punk', 'edm', 'hard rock'] },
+  angry: { search: 'rock metal intense', genres: ['metal', 'hard rock', 'punk', 'grunge', 'hardcore', 'industrial'], avoid: ['ambient', 'sleep', 'lullaby'] },
+  romantic: { search: 'romantic love songs', genres: ['soul', 'r&b', 'ballad', 'bossa nova', 'jazz', 'soft rock'], avoid: ['metal', 'punk', 'hardcore'] },
+  focused: { search: 'focus study concentration', genres: ['ambient', 'classical', 'lo-fi', 'chillhop', 'instrumental', 'post-rock', 'new age'], avoid: ['party', 'metal'] },
+  party: { search: 'party dance hits', genres: ['dance', 'pop', 'house', 'edm', 'hip hop', 'reggaeton', 'disco'], avoid: ['ambient', 'sleep', 'classical'] },
+  chill: { search: 'chill lofi vibes', genres: ['lo-fi', 'chillhop', 'chill', 'downtempo', 'trip hop', 'indie', 'bedroom pop'], avoid: ['metal', 'hardcore', 'edm'] },
+  workout: { search: 'workout gym motivation', genres: ['edm', 'hip hop', 'rock', 'trap', 'electro', 'house', 'metal'], avoid: ['ambient', 'sleep', 'acoustic'] }
+};
+const TASTE_PROFILE_TTL_MS = 10 * 60 * 1000; // Top/recent listening changes slowly
+const TASTE_SEED_ARTISTS = 3; // Favourite artists whose top tracks join the candidates
+const RECOMMENDATION_SIZE = 20;
+const RECOMMENDATION_ARTIST_CAP = 3; // Songs per artist, so one favourite doesn't take over
+const MIN_PERSONAL_TRACKS = 3; // Fewer mood matches than this falls back to public playlists
+
+class MoodRecommender {
+  // api(endpoint, signal) is a GET against the Spotify Web API
+  constructor(api) {
+    this.api = api;
+    this.profiles = new Map(); // Spotify user id -> { builtAt, candidates, genres, topArtistIds }
+  }
+  
+  // Tracks for the mood, best first - empty when the listening history has too few matches
+  async recommend(mood, userId, signal = null) {
+    const profile = MOOD_PROFILES[mood];
+    if (!profile) return [];
+    
+    const taste = await this.getTasteProfile(userId, signal);
+    const matchesAny = (genres, keywords) => keywords.filter(k => genres.some(g => g.includes(k))).length;
+    
+    const ranked = taste.candidates
+      .map(({ track, affinity }) => {
+        const artistId = track.artists[0].id;
+        const genres = taste.genres.get(artistId) || [];
+        const fit = matchesAny(genres, profile.genres);
+        if (fit === 0 || matchesAny(genres, profile.avoid) > 0) return null;
+        return { track, score: fit * 3 + affinity + (taste.topArtistIds.has(artistId) ? 0.5 : 0) };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+    
+    const perArtist = new Map();
+    const picks = [];
+    for (const { track } of ranked) {
+      const artistId = track.artists[0].id;
+      if ((perArtist.get(artistId) || 0) >= RECOMMENDATION_ARTIST_CAP) continue;
+      perArtist.set(artistId, (perArtist.get(artistId) || 0) + 1);
+      picks.push(track);
+      if (picks.length === RECOMMENDATION_SIZE) break;
+    }
+    
+    log('AGENT', 'RECOMMENDER', `${picks.length} ${mood} picks from ${taste.candidates.length} candidates`);
+    return picks.length >= MIN_PERSONAL_TRACKS ? picks : [];
+  }
+  
+  async getTasteProfile(userId, signal = null) {
+    const key = userId || 'default';
+    const cached = this.profiles.get(key);
+    if (cached && Date.now() - cached.builtAt < TASTE_PROFILE_TTL_MS) return cached;
+    
+    const [topTracks, recent, topArtists] = await Promise.all([
+      this.api('/me/top/tracks?limit=50', signal),
+      this.api('/me/player/recently-played?limit=50', signal),
+      this.api('/me/top/artists?limit=20', signal)
+    ]);
+    
+    // uri -> { track, affinity }: top tracks weigh most (by rank), then recent plays, then artist hits
+    const candidates = new Map();
+    const add = (track, weight) => {
+      if (!track?.uri || !track.artists?.length) return;
+      const candidate = candidates.get(track.uri) || { track, affinity: 0 };
+      candidate.affinity += weight;
+      candidates.set(track.uri, candidate);
+    };
+    const top = topTracks.items || [];
+    top.forEach((track, i) => add(track, 2 + (top.length - i) / top.length));
+    (recent.items || []).forEach(item => add(item.track, 1));
+    
+    const genres = new Map((topArtists.items || []).map(a => [a.id, a.genres || []]));
+    const topArtistIds = new Set(genres.keys());
+    const seedArtists = (topArtists.items || []).slice(0, TASTE_SEED_ARTISTS);
+    const artistHits = await Promise.all(seedArtists.map(a => this.api(`/artists/${a.id}/top-tracks?market=US`, signal)));
+    artistHits.forEach(result => (result.tracks || []).forEach(track => add(track, 0.5)));
+    
+    // Genres live on full artist objects - look up the artists not in the top list
+    const unknown = [...new Set([...candidates.values()].map(c => c.track.artists[0].id))].filter(id => !genres.has(id));
+    for (let i = 0; i < unknown.length; i += 50) {
+      const result = await this.api(`/artists?ids=${unknown.slice(i, i + 50).join(',')}`, signal);
+      (result.artists || []).forEach(a => a && genres.set(a.id, a.genres || []));
+    }
+    
+    const taste = {
+      builtAt: Date.now(),
+      candidates: [...candidates.values()],
+      genres,
+      topArtistIds
+    };
+    this.profiles.set(key, taste);
+    return taste;
+  }
+}
+
 // ================== AGENT: SPOTIFY (A2A Enabled) ==================
+// Web API retries: 429 waits for Retry-After (any method - the call wasn't processed),
+// 5xx retries idempotent methods with jittered backoff, 401 retries once with a new token
+const SPOTIFY_MAX_RETRIES = 3;
+const SPOTIFY_RETRY_BASE_MS = 500;
+const SPOTIFY_MAX_RETRY_AFTER_MS = 30000;
+const IDEMPOTENT_METHODS = new Set(['GET', 'PUT', 'DELETE']);
+const QUEUE_PREVIEW_SIZE = 5; // Songs read out for "what's up next?"
+const SESSION_TRACK_LIMIT = 100; // Played tracks remembered per session
+const PLAYLIST_PAGE_SIZE = 100; // Spotify's maximum for playlist items
+const RECENT_LIKES_SIZE = 5; // Liked Songs read out when the session has none
+
+// Waits ms, or rejects as soon as the signal aborts
+function delay(ms, signal = null) {
+  const wait = new Promise(resolve => setTimeout(resolve, ms));
+  return signal ? abortable(wait, signal) : wait;
+}
+
+// 83000 -> "1:23"
+function formatPosition(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Devices whose name (or type - "phone" finds a Smartphone) best matches a spoken device name
+const DEVICE_FILLER_WORDS = new Set(['the', 'this', 'that', 'one', 'device', 'please']);
+
+function matchDevices(query, devices) {
+  const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+  const q = normalize(query);
+  const exact = devices.filter(d => d.id === query || normalize(d.name) === q);
+  if (exact.length > 0) return exact;
+  
+  const words = q.split(' ').filter(w => w.length > 2 && !DEVICE_FILLER_WORDS.has(w));
+  const score = (device) => words.filter(w => normalize(`${device.name} ${device.type}`).includes(w)).length;
+  const best = Math.max(0, ...devices.map(score));
+  return best === 0 ? [] : devices.filter(d => score(d) === best);
+}
+
+// Numbered choices for an input-required device question, answered with { choice }
+const deviceOptions = (devices) => devices.map((d, i) => ({ id: i + 1, type: 'device', deviceId: d.id, name: d.name, label: d.name }));
+
+// The session's device disappeared and several others are available - A2A tasks ask which one
+class DeviceChoiceRequired extends Error {
+  constructor(devices) {
+    const options = deviceOptions(devices);
+    super(`Your playback device is no longer available. Which device should I use: ${options.map(o => `${o.id}. ${o.label}`).join(', ')}?`);
+    this.name = 'DeviceChoiceRequired';
+    this.options = options;
+  }
+}
+
+const REPEAT_MODES = {
+  track: 'Repeating this song',
+  context: 'Repeating the playlist',
+  off: 'Repeat is off'
+};
+
 class SpotifyAgent {
   constructor(bus) {
     this.bus = bus;
     this.name = 'SPOTIFY_AGENT';
+    this.sessionTracks = new Map(); // sessionId -> tracks played, for save_session_playlist
+    this.sessionLikes = new Map(); // sessionId -> tracks saved to Liked Songs, for list_recent_likes
+    this.recommender = new MoodRecommender((endpoint, signal) => this.spotifyAPI(endpoint, 'GET', null, signal));
+    
+    // Every playback skill can target a device explicitly; by default the session's device is used
+    const deviceId = { type: 'string', description: 'Spotify device id (defaults to the session device)' };
+    const deviceOnly = { type: 'object', properties: { deviceId } };
     
     // A2A Agent Card
     this.agentCard = new AgentCard({
@@ -477,18 +1929,20 @@ class SpotifyAgent {
       description: 'Controls Spotify music playback including play, pause, skip, and search',
       version: '2.0.0',
       capabilities: {
-        streaming: true,
-        pushNotifications: true
+        streaming: true // skills report progress while they search, switch devices and queue
       },
       skills: [
         {
           id: 'play_music',
           name: 'Play Music',
           description: 'Search and play music by song name, artist, or query',
+          scope: 'playback:control',
           parameters: {
             type: 'object',
             properties: {
-              query: { type: 'string', description: 'Search query (song, artist, album)' }
+              query: { type: 'string', description: 'Search query (song, artist, album)' },
+              choice: { type: 'integer', minimum: 1, description: 'Option id when answering an input-required task' },
+              deviceId
             },
             required: ['query']
           }
@@ -496,51 +1950,197 @@ class SpotifyAgent {
         {
           id: 'pause_music',
           name: 'Pause Music',
-          description: 'Pause current playback'
+          description: 'Pause current playback',
+          scope: 'playback:control',
+          parameters: deviceOnly
         },
         {
           id: 'resume_music',
           name: 'Resume Music',
-          description: 'Resume paused playback'
+          description: 'Resume paused playback',
+          scope: 'playback:control',
+          parameters: deviceOnly
         },
         {
           id: 'skip_next',
           name: 'Skip to Next',
-          description: 'Skip to the next track'
+          description: 'Skip to the next track',
+          scope: 'playback:control',
+          parameters: deviceOnly
         },
         {
           id: 'skip_previous',
           name: 'Skip to Previous',
-          description: 'Go back to the previous track'
+          description: 'Go back to the previous track',
+          scope: 'playback:control',
+          parameters: deviceOnly
         },
         {
           id: 'set_volume',
           name: 'Set Volume',
           description: 'Set playback volume',
+          scope: 'playback:control',
           parameters: {
             type: 'object',
             properties: {
-              level: { type: 'number', minimum: 0, maximum: 100 }
+              level: { type: 'integer', minimum: 0, maximum: 100 },
+              deviceId
             },
             required: ['level']
           }
         },
+        {
+          id: 'seek',
+          name: 'Seek',
+          description: 'Jump to a position in the current song, or forward/back by a number of seconds',
+          scope: 'playback:control',
+          parameters: {
+            type: 'object',
+            properties: {
+              positionSeconds: { type: 'number', minimum: 0, description: 'Absolute position' },
+              offsetSeconds: { type: 'number', description: 'Relative jump - negative rewinds' },
+              deviceId
+            }
+          }
+        },
+        {
+          id: 'restart_track',
+          name: 'Restart Track',
+          description: 'Start the current song over',
+          scope: 'playback:control',
+          parameters: deviceOnly
+        },
+        {
+          id: 'set_shuffle',
+          name: 'Set Shuffle',
+          description: 'Turn shuffle on or off',
+          scope: 'playback:control',
+          parameters: {
+            type: 'object',
+            properties: {
+              enabled: { type: 'boolean' },
+              deviceId
+            },
+            required: ['enabled']
+          }
+        },
+        {
+          id: 'set_repeat',
+          name: 'Set Repeat',
+          description: 'Repeat the current song (track), the playlist or album (context), or nothing (off)',
+          scope: 'playback:control',
+          parameters: {
+            type: 'object',
+            properties: {
+              mode: { type: 'string', enum: Object.keys(REPEAT_MODES) },
+              deviceId
+            },
+            required: ['mode']
+          }
+        },
+        {
+          id: 'list_devices',
+          name: 'List Devices',
+          description: 'List the Spotify devices playback can move to',
+          scope: 'playback:read'
+        },
+        {
+          id: 'transfer_playback',
+          name: 'Transfer Playback',
+          description: 'Move playback to a device by name (fuzzy, e.g. "kitchen" or "my phone") or id; asks which one when several match',
+          scope: 'playback:control',
+          parameters: {
+            type: 'object',
+            properties: {
+              device: { type: 'string', description: 'Device name or id' },
+              choice: { type: 'integer', minimum: 1, description: 'Option id when answering an input-required task' }
+            },
+            required: ['device']
+          }
+        },
         {
           id: 'get_current_track',
           name: 'Get Current Track',
-          description: 'Get information about currently playing track'
+          description: 'Get information about currently playing track',
+          scope: 'playback:read'
         },
         {
           id: 'play_by_mood',
           name: 'Play by Mood',
           description: 'Play music matching a mood or genre',
+          scope: 'playback:control',
           parameters: {
             type: 'object',
             properties: {
-              mood: { type: 'string', enum: ['happy', 'sad', 'energetic', 'calm', 'angry', 'romantic', 'focused', 'party'] }
+              mood: { type: 'string', enum: ['happy', 'sad', 'energetic', 'calm', 'angry', 'romantic', 'focused', 'party', 'chill', 'workout'] },
+              deviceId
             },
             required: ['mood']
           }
+        },
+        {
+          id: 'add_to_queue',
+          name: 'Add to Queue',
+          description: 'Add a song to the end of the playback queue',
+          scope: 'playback:control',
+          parameters: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'Search query (song, artist)' },
+              deviceId
+            },
+            required: ['query']
+          }
+        },
+        {
+          id: 'get_queue',
+          name: 'Get Queue',
+          description: 'List the songs coming up next',
+          scope: 'playback:read'
+        },
+        {
+          id: 'play_next',
+          name: 'Play Next',
+          description: 'Play a song right after the current one, ahead of the rest of the queue',
+          scope: 'playback:control',
+          parameters: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'Search query (song, artist)' },
+              deviceId
+            },
+            required: ['query']
+          }
+        },
+        {
+          id: 'save_session_playlist',
+          name: 'Save Session Playlist',
+          description: 'Save the songs played in this session to a playlist, creating it or adding to an existing one',
+          scope: 'library:write',
+          parameters: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Playlist name (defaults to "Music Buddy" and the date)' }
+            }
+          }
+        },
+        {
+          id: 'save_current_track',
+          name: 'Like Current Track',
+          description: 'Save the song that is playing to Liked Songs',
+          scope: 'library:write'
+        },
+        {
+          id: 'remove_current_track',
+          name: 'Unlike Current Track',
+          description: 'Remove the song that is playing from Liked Songs',
+          scope: 'library:write'
+        },
+        {
+          id: 'list_recent_likes',
+          name: 'Recent Likes',
+          description: 'List the songs liked in this session, or the latest Liked Songs if there are none',
+          scope: 'library:read'
         }
       ],
       defaultInputModes: ['text'],
@@ -549,47 +2149,98 @@ class SpotifyAgent {
     
     // Register with A2A Protocol
     if (a2aProtocol) {
+      // A { choice } answering a DeviceChoiceRequired question picks the device, then the
+      // original command runs on it
+      const withTarget = (run) => async (input, sessionId, task) => {
+        const target = await this.getPlaybackTarget(sessionId, input.deviceId);
+        const deviceOption = task.output?.options?.[0]?.type === 'device' && input.choice !== undefined
+          ? task.output.options.find(o => o.id === input.choice)
+          : null;
+        if (deviceOption) {
+          const { choice, ...commandInput } = input;
+          input = commandInput;
+          target.deviceId = deviceOption.deviceId;
+          this.bus.publish('session:device:selected', { sessionId, deviceId: deviceOption.deviceId, source: 'client' });
+        }
+        
+        try {
+          return this.announceDeviceSwitch(await run(input, target, task), target);
+        } catch (error) {
+          if (!(error instanceof DeviceChoiceRequired)) throw error;
+          return { success: true, inputRequired: true, message: error.message, options: error.options };
+        }
+      };
+      
       a2aProtocol.registerAgent('spotify', this.agentCard, {
-        'play_music': (input) => this.playMusic(input.query, this.getDeviceParam()),
-        'pause_music': () => this.spotifyAPI(`/me/player/pause${this.getDeviceParam()}`, 'PUT'),
-        'resume_music': () => this.spotifyAPI(`/me/player/play${this.getDeviceParam()}`, 'PUT'),
-        'skip_next': () => this.skipToNext(this.getDeviceParam()),
-        'skip_previous': () => this.spotifyAPI(`/me/player/previous${this.getDeviceParam()}`, 'POST'),
-        'set_volume': (input) => this.spotifyAPI(`/me/player/volume?volume_percent=${input.level}${webPlaybackDeviceId ? '&device_id=' + webPlaybackDeviceId : ''}`, 'PUT'),
-        'get_current_track': () => this.getCurrentTrack(),
-        'play_by_mood': (input) => this.playByMood(input.mood, this.getDeviceParam())
-      });
+        // A choice only answers stored options - on a new task it is ignored and the query played
+        'play_music': withTarget((input, target, task) => input.choice !== undefined && task.output?.options
+          ? this.playChoice(task.output.options, input.choice, target, task)
+          : this.playMusic(input.query, target, task)),
+        'pause_music': withTarget(async (input, target, task) => this.spotifyAPI(`/me/player/pause${await this.activeDeviceQuery(target, task)}`, 'PUT', null, task.signal)),
+        'resume_music': withTarget(async (input, target, task) => this.spotifyAPI(`/me/player/play${await this.activeDeviceQuery(target, task)}`, 'PUT', null, task.signal)),
+        'skip_next': withTarget((input, target, task) => this.skipToNext(target, task)),
+        'skip_previous': withTarget(async (input, target, task) => this.spotifyAPI(`/me/player/previous${await this.activeDeviceQuery(target, task)}`, 'POST', null, task.signal)),
+        'set_volume': withTarget(async (input, target, task) => this.spotifyAPI(`/me/player/volume?volume_percent=${input.level}${await this.activeDeviceQuery(target, task, '&')}`, 'PUT', null, task.signal)),
+        'seek': withTarget((input, target, task) => this.seek(input, target, task)),
+        'restart_track': withTarget((input, target, task) => this.restartTrack(target, task)),
+        'set_shuffle': withTarget((input, target, task) => this.setShuffle(input.enabled, target, task)),
+        'set_repeat': withTarget((input, target, task) => this.setRepeat(input.mode, target, task)),
+        'list_devices': (input, sessionId, task) => this.listDevices(task.signal),
+        'transfer_playback': (input, sessionId, task) => input.choice !== undefined && task.output?.options
+          ? this.transferChoice(task.output.options, input.choice, sessionId, task)
+          : this.transferPlayback(input.device, sessionId, task),
+        'get_current_track': (input, sessionId, task) => this.getCurrentTrack(task.signal),
+        'play_by_mood': withTarget((input, target, task) => this.playByMood(input.mood, target, task)),
+        'add_to_queue': withTarget((input, target, task) => this.addToQueue(input.query, target, task)),
+        'get_queue': (input, sessionId, task) => this.getQueue(task.signal),
+        'play_next': withTarget((input, target, task) => this.playNext(input.query, target, task)),
+        'save_session_playlist': (input, sessionId, task) => this.saveSessionPlaylist(sessionId, input.name, task),
+        'save_current_track': (input, sessionId, task) => this.saveCurrentTrack(sessionId, task.signal),
+        'remove_current_track': (input, sessionId, task) => this.removeCurrentTrack(sessionId, task.signal),
+        'list_recent_likes': (input, sessionId, task) => this.listRecentLikes(sessionId, task.signal)
+      }, { serialize: true });
     }
     
-    bus.subscribe('spotify:command', (data) => this.handleCommand(data));
+    bus.respond('spotify:command', (data) => this.handleCommand(data));
+    bus.subscribe('session:closed', ({ sessionId }) => {
+      this.sessionTracks.delete(sessionId);
+      this.sessionLikes.delete(sessionId);
+    });
     
     log('AGENT', this.name, 'Initialized with A2A support');
   }
   
-  getDeviceParam() {
-    return webPlaybackDeviceId ? `?device_id=${webPlaybackDeviceId}` : '';
+  // Where to play: an explicit deviceId wins, then the device of the session (asked over
+  // the bus, since sessions live in the main process). With neither, ensureDeviceActive()
+  // picks the active device and remembers it for the session.
+  async getPlaybackTarget(sessionId, deviceId = null) {
+    if (deviceId) return { sessionId, deviceId, explicit: true };
+    const sessionDeviceId = await this.bus.request('session:device', { sessionId }, 2000).catch(() => null);
+    return { sessionId, deviceId: sessionDeviceId, explicit: false };
   }
   
-  async spotifyAPI(endpoint, method = 'GET', body = null) {
-    const token = await getValidToken();
-    const options = {
-      method,
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      }
-    };
-    
-    if (body) {
-      options.body = JSON.stringify(body);
+  deviceQuery(target, separator = '?') {
+    return target.deviceId ? `${separator}device_id=${target.deviceId}` : '';
+  }
+  
+  // deviceQuery() for commands on the session's device, built once ensureDeviceActive() has
+  // checked the device is still there - a vanished device_id would only get a 404
+  async activeDeviceQuery(target, task = null, separator = '?') {
+    if (target.deviceId) await this.ensureDeviceActive(target, task);
+    return this.deviceQuery(target, separator);
+  }
+  
+  // Every call is published as spotify:api with its method, endpoint and status only -
+  // response bodies hold account data and stay out of recordings
+  async spotifyAPI(endpoint, method = 'GET', body = null, signal = null) {
+    let response;
+    try {
+      response = await this.requestSpotifyAPI(endpoint, method, body, signal);
+    } catch (error) {
+      this.bus.publish('spotify:api', { method, endpoint, error: error.message });
+      throw error;
     }
-    
-    const url = endpoint.startsWith('http') ? endpoint : `https://api.spotify.com/v1${endpoint}`;
-    log('AGENT', this.name, `API Call: ${method} ${url}`);
-    
-    const response = await fetch(url, options);
-    
-    log('AGENT', this.name, `API Response: ${response.status}`);
+    this.bus.publish('spotify:api', { method, endpoint, status: response.status });
     
     if (response.status === 204) return { success: true };
     
@@ -608,40 +2259,108 @@ class SpotifyAgent {
     throw new Error(`Spotify API error: ${response.status} - ${error}`);
   }
   
+  // Sends the request with token refresh and retries, resolving to the final fetch Response
+  async requestSpotifyAPI(endpoint, method, body, signal) {
+    const url = endpoint.startsWith('http') ? endpoint : `${SPOTIFY_API_URL}${endpoint}`;
+    const sessionId = busContext.getStore()?.sessionId;
+    let forceRefresh = false;
+    let response;
+    
+    for (let attempt = 1; ; attempt++) {
+      const token = await getValidToken(sessionId, { forceRefresh });
+      const options = {
+        method,
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      };
+      
+      if (signal) {
+        options.signal = signal;
+      }
+      
+      if (body) {
+        options.body = JSON.stringify(body);
+      }
+      
+      log('AGENT', this.name, `API Call: ${method} ${url}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+      
+      response = await fetch(url, options);
+      
+      log('AGENT', this.name, `API Response: ${response.status}`);
+      
+      if (response.status === 401 && !forceRefresh) {
+        forceRefresh = true;
+        await response.body?.cancel();
+        log('AGENT', this.name, 'Access token rejected, retrying with a refreshed token');
+        continue;
+      }
+      
+      const retryDelay = this.getRetryDelay(response, method, attempt);
+      if (retryDelay === null) break;
+      await response.body?.cancel();
+      log('AGENT', this.name, `Retrying ${method} ${endpoint} in ${Math.round(retryDelay)}ms`);
+      await delay(retryDelay, signal);
+    }
+    
+    return response;
+  }
+  
+  // Milliseconds to wait before retrying the response, or null when it is final
+  getRetryDelay(response, method, attempt) {
+    if (attempt > SPOTIFY_MAX_RETRIES) return null;
+    
+    if (response.status === 429) {
+      const retryAfterMs = (parseInt(response.headers.get('retry-after'), 10) || 1) * 1000;
+      return retryAfterMs <= SPOTIFY_MAX_RETRY_AFTER_MS ? retryAfterMs : null;
+    }
+    
+    if (response.status >= 500 && IDEMPOTENT_METHODS.has(method)) {
+      const backoff = SPOTIFY_RETRY_BASE_MS * 2 ** (attempt - 1);
+      return backoff / 2 + Math.random() * backoff / 2;
+    }
+    
+    return null;
+  }
+  
+  // Voice path entry point - answers ConversationAgent's bus.request() with the result
   async handleCommand(data) {
-    const { command, args, sessionId } = data;
+    const { command, args } = data;
     log('AGENT', this.name, `Command: ${command}`, args);
     
+    let target;
     try {
       let result;
-      const deviceParam = webPlaybackDeviceId ? `?device_id=${webPlaybackDeviceId}` : '';
+      target = await this.getPlaybackTarget(data.sessionId);
       
       switch (command) {
         case 'play_music':
-          result = await this.playMusic(args.query, deviceParam);
+          result = await this.playMusic(args.query, target);
+          break;
+          
+        case 'play_option':
+          result = await this.playOption(args.option, target);
           break;
           
         case 'pause':
-          await this.spotifyAPI(`/me/player/pause${deviceParam}`, 'PUT');
+          await this.spotifyAPI(`/me/player/pause${await this.activeDeviceQuery(target)}`, 'PUT');
           result = { success: true, message: 'Music paused' };
           break;
           
         case 'resume':
-          await this.spotifyAPI(`/me/player/play${deviceParam}`, 'PUT');
+          await this.spotifyAPI(`/me/player/play${await this.activeDeviceQuery(target)}`, 'PUT');
           result = { success: true, message: 'Music resumed' };
           break;
           
         case 'next':
-          log('AGENT', this.name, `Skipping to next track, device: ${webPlaybackDeviceId}`);
-          result = await this.skipToNext(deviceParam);
+          log('AGENT', this.name, `Skipping to next track, device: ${target.deviceId}`);
+          result = await this.skipToNext(target);
           break;
           
         case 'previous':
-          log('AGENT', this.name, `Going to previous track, device: ${webPlaybackDeviceId}`);
-          if (webPlaybackDeviceId) {
-            await this.ensureDeviceActive(webPlaybackDeviceId);
-          }
-          await this.spotifyAPI(`/me/player/previous${deviceParam}`, 'POST');
+          log('AGENT', this.name, `Going to previous track, device: ${target.deviceId}`);
+          await this.spotifyAPI(`/me/player/previous${await this.activeDeviceQuery(target)}`, 'POST');
           await new Promise(r => setTimeout(r, 500));
           const prevTrack = await this.getCurrentTrack();
           result = { 
@@ -651,50 +2370,122 @@ class SpotifyAgent {
           break;
           
         case 'volume':
-          await this.spotifyAPI(`/me/player/volume?volume_percent=${args.level}${webPlaybackDeviceId ? '&device_id=' + webPlaybackDeviceId : ''}`, 'PUT');
+          await this.spotifyAPI(`/me/player/volume?volume_percent=${args.level}${await this.activeDeviceQuery(target, null, '&')}`, 'PUT');
           result = { success: true, message: `Volume set to ${args.level}%` };
           break;
           
+        case 'seek':
+          result = await this.seek(args, target);
+          break;
+          
+        case 'restart_track':
+          result = await this.restartTrack(target);
+          break;
+          
+        case 'shuffle':
+          result = await this.setShuffle(args.enabled, target);
+          break;
+          
+        case 'repeat':
+          result = await this.setRepeat(args.mode, target);
+          break;
+          
+        case 'list_devices':
+          result = await this.listDevices();
+          break;
+          
+        case 'transfer_playback':
+          result = await this.transferPlayback(args.device, data.sessionId);
+          break;
+          
+        case 'transfer_option':
+          result = await this.transferToDevice({ id: args.option.deviceId, name: args.option.name }, data.sessionId);
+          break;
+          
         case 'current_track':
           result = await this.getCurrentTrack();
           break;
           
         case 'play_mood':
-          result = await this.playByMood(args.mood, deviceParam);
+          result = await this.playByMood(args.mood, target);
+          break;
+          
+        case 'add_to_queue':
+          result = await this.addToQueue(args.query, target);
+          break;
+          
+        case 'get_queue':
+          result = await this.getQueue();
+          break;
+          
+        case 'play_next':
+          result = await this.playNext(args.query, target);
+          break;
+          
+        case 'save_playlist':
+          result = await this.saveSessionPlaylist(data.sessionId, args.name);
+          break;
+          
+        case 'save_track':
+          result = await this.saveCurrentTrack(data.sessionId);
+          break;
+          
+        case 'remove_track':
+          result = await this.removeCurrentTrack(data.sessionId);
+          break;
+          
+        case 'list_likes':
+          result = await this.listRecentLikes(data.sessionId);
           break;
           
         default:
           result = { success: false, message: `Unknown command: ${command}` };
       }
       
-      this.bus.publish('spotify:result', { sessionId, result });
+      return this.announceDeviceSwitch(result, target);
       
     } catch (error) {
       log('ERROR', this.name, 'Command failed', error.message);
-      this.bus.publish('spotify:result', { 
-        sessionId, 
-        result: { success: false, message: error.message }
-      });
+      return { success: false, message: error.message };
     }
   }
   
-  async playMusic(query, deviceParam) {
+  // ensureDeviceActive() moved playback because the session's device disappeared - say so,
+  // since voice clients only speak the message
+  announceDeviceSwitch(result, target) {
+    if (!target.switchedTo || typeof result?.message !== 'string') return result;
+    return { ...result, message: `Your playback device is no longer available, so I switched to ${target.switchedTo}. ${result.message}` };
+  }
+  
+  async playMusic(query, target, task = null) {
+    const signal = task?.signal;
+    let deviceParam;
+    
     // Ensure device is active before playing
     try {
-      const targetDeviceId = await this.ensureDeviceActive(webPlaybackDeviceId);
-      deviceParam = `?device_id=${targetDeviceId}`;
+      deviceParam = `?device_id=${await this.ensureDeviceActive(target, task)}`;
     } catch (e) {
+      if (e instanceof DeviceChoiceRequired) throw e;
       return { success: false, message: e.message };
     }
     
     // Search for multiple tracks to create a queue for "next" to work
-    const searchResult = await this.spotifyAPI(`/search?q=${encodeURIComponent(query)}&type=track&limit=20&market=US`);
+    task?.progress(`Searching Spotify for "${query}"`);
+    const searchResult = await this.spotifyAPI(`/search?q=${encodeURIComponent(query)}&type=track,artist&limit=20&market=US`, 'GET', null, signal);
     
     if (!searchResult.tracks?.items?.length) {
       return { success: false, message: 'Song not found' };
     }
     
     const tracks = searchResult.tracks.items;
+    
+    // Ask instead of guessing when the query is ambiguous or matches poorly
+    const clarification = this.findAmbiguity(query, tracks, searchResult.artists?.items || []);
+    if (clarification) {
+      log('AGENT', this.name, `Ambiguous query "${query}", asking user`, clarification.options.map(o => o.label));
+      return clarification;
+    }
+
     const trackUris = tracks.map(t => t.uri);
     const firstTrack = tracks[0];
     
@@ -703,11 +2494,13 @@ class SpotifyAgent {
     this.lastTrackUri = firstTrack.uri;
     
     // Play all tracks - this creates a queue so "next" will work
+    task?.progress(`Starting playback: ${firstTrack.name}`);
     await this.spotifyAPI(`/me/player/play${deviceParam}`, 'PUT', {
       uris: trackUris
-    });
+    }, signal);
     
     log('AGENT', this.name, `Playing ${trackUris.length} tracks starting with: ${firstTrack.name}`);
+    this.rememberTrack(target.sessionId, firstTrack);
     
     return { 
       success: true, 
@@ -716,8 +2509,163 @@ class SpotifyAgent {
     };
   }
   
-  async getCurrentTrack() {
-    const result = await this.spotifyAPI('/me/player/currently-playing');
+  // Returns an input-required result when "play X" could mean several things:
+  // an artist and a song with the same name, or search hits that don't match the query at all
+  findAmbiguity(query, tracks, artists) {
+    const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9 ]/g, '').replace(/\s+/g, ' ').trim();
+    const q = normalize(query);
+    const trackOption = (track) => ({
+      type: 'track',
+      name: track.name,
+      artist: track.artists[0].name,
+      uri: track.uri,
+      label: `"${track.name}" by ${track.artists[0].name}`
+    });
+    let options = [];
+    
+    const artistMatch = artists.find(a => normalize(a.name) === q);
+    const titleMatches = tracks.filter(t => normalize(t.name) === q && !t.artists.some(a => normalize(a.name) === q));
+    
+    if (artistMatch && titleMatches.length > 0) {
+      options = [
+        { type: 'artist', name: artistMatch.name, uri: artistMatch.uri, label: `${artistMatch.name} the artist` },
+        ...titleMatches.slice(0, 2).map(trackOption)
+      ];
+    } else {
+      const words = q.split(' ').filter(w => w.length > 2);
+      const isRelevant = (t) => words.some(w => normalize(`${t.name} ${t.artists.map(a => a.name).join(' ')}`).includes(w));
+      if (words.length > 0 && !tracks.slice(0, 5).some(isRelevant)) {
+        options = tracks.slice(0, 3).map(trackOption);
+      }
+    }
+    
+    if (options.length < 2) return null;
+    
+    options = options.map((option, i) => ({ id: i + 1, ...option }));
+    return {
+      success: true,
+      inputRequired: true,
+      message: `Which one did you mean: ${options.map(o => `${o.id}. ${o.label}`).join(', ')}?`,
+      options
+    };
+  }
+  
+  // Answer to an input-required play_music task
+  async playChoice(options, choice, target, task = null) {
+    const option = options?.find(o => o.id === choice);
+    if (!option) {
+      return {
+        success: true,
+        inputRequired: true,
+        message: `Option ${choice} isn't available. Please pick one of: ${(options || []).map(o => `${o.id}. ${o.label}`).join(', ')}`,
+        options: options || []
+      };
+    }
+    return await this.playOption(option, target, task);
+  }
+  
+  async playOption(option, target, task = null) {
+    let deviceParam;
+    try {
+      deviceParam = `?device_id=${await this.ensureDeviceActive(target, task)}`;
+    } catch (e) {
+      if (e instanceof DeviceChoiceRequired) throw e;
+      return { success: false, message: e.message };
+    }
+    
+    task?.progress(`Starting playback: ${option.label}`);
+    const body = option.type === 'artist' ? { context_uri: option.uri } : { uris: [option.uri] };
+    await this.spotifyAPI(`/me/player/play${deviceParam}`, 'PUT', body, task?.signal);
+    
+    if (option.type === 'track') {
+      this.lastTrackUri = option.uri;
+      this.rememberTrack(target.sessionId, option);
+    }
+    
+    return {
+      success: true,
+      message: `Now playing ${option.label}`,
+      track: option.type === 'track' ? { name: option.name, artist: option.artist } : null
+    };
+  }
+  
+  // Best search hit for a single-track request (queue commands)
+  async findTrack(query, signal = null) {
+    const result = await this.spotifyAPI(`/search?q=${encodeURIComponent(query)}&type=track&limit=1&market=US`, 'GET', null, signal);
+    return result.tracks?.items?.[0] || null;
+  }
+  
+  async addToQueue(query, target, task = null) {
+    task?.progress(`Searching Spotify for "${query}"`);
+    const track = await this.findTrack(query, task?.signal);
+    if (!track) {
+      return { success: false, message: 'Song not found' };
+    }
+    
+    await this.spotifyAPI(`/me/player/queue?uri=${encodeURIComponent(track.uri)}${await this.activeDeviceQuery(target, task, '&')}`, 'POST', null, task?.signal);
+    log('AGENT', this.name, `Queued: ${track.name}`);
+    
+    return {
+      success: true,
+      message: `Added "${track.name}" by ${track.artists[0].name} to the queue`,
+      track: { name: track.name, artist: track.artists[0].name }
+    };
+  }
+  
+  async getQueue(signal = null) {
+    const result = await this.spotifyAPI('/me/player/queue', 'GET', null, signal);
+    const upcoming = (result.queue || []).slice(0, QUEUE_PREVIEW_SIZE).map(t => ({ name: t.name, artist: t.artists[0].name, uri: t.uri }));
+    
+    if (upcoming.length === 0) {
+      return { success: true, message: 'Nothing is queued up', queue: [] };
+    }
+    return {
+      success: true,
+      message: `Up next: ${upcoming.map(t => `"${t.name}" by ${t.artist}`).join(', ')}`,
+      queue: upcoming
+    };
+  }
+  
+  // Spotify can only append to the queue, so "play X next" restarts playback as the
+  // current track (at its position), X, then what was coming up - replacing the queue
+  async playNext(query, target, task = null) {
+    const signal = task?.signal;
+    task?.progress(`Searching Spotify for "${query}"`);
+    const track = await this.findTrack(query, signal);
+    if (!track) {
+      return { success: false, message: 'Song not found' };
+    }
+    
+    const option = { type: 'track', name: track.name, artist: track.artists[0].name, uri: track.uri, label: `"${track.name}" by ${track.artists[0].name}` };
+    const player = await this.spotifyAPI('/me/player', 'GET', null, signal);
+    if (!player?.item) {
+      return await this.playOption(option, target, task);
+    }
+    
+    task?.progress(`Queueing ${option.label} next`);
+    if (player.context) {
+      // Replacing playback would drop the playlist or album - Spotify plays queued
+      // songs before the rest of the context, so queue it instead
+      await this.spotifyAPI(`/me/player/queue?uri=${encodeURIComponent(track.uri)}${await this.activeDeviceQuery(target, task, '&')}`, 'POST', null, signal);
+    } else {
+      // Bare uris have no context to lose, so rebuild them with the song ahead of the queue
+      const queue = await this.spotifyAPI('/me/player/queue', 'GET', null, signal);
+      const upcoming = (queue.queue || []).map(t => t.uri).filter(uri => uri !== track.uri);
+      await this.spotifyAPI(`/me/player/play${await this.activeDeviceQuery(target, task)}`, 'PUT', {
+        uris: [player.item.uri, track.uri, ...upcoming],
+        position_ms: player.progress_ms || 0
+      }, signal);
+    }
+    
+    return {
+      success: true,
+      message: `${option.label} will play next`,
+      track: { name: option.name, artist: option.artist }
+    };
+  }
+  
+  async getCurrentTrack(signal = null) {
+    const result = await this.spotifyAPI('/me/player/currently-playing', 'GET', null, signal);
     
     if (!result?.item) {
       return { success: true, message: 'Nothing playing right now', track: null };
@@ -729,47 +2677,181 @@ class SpotifyAgent {
       track: {
         name: result.item.name,
         artist: result.item.artists[0].name,
-        album: result.item.album?.name
+        album: result.item.album?.name,
+        uri: result.item.uri
+      }
+    };
+  }
+  
+  // Absolute ({ positionSeconds }) or relative ({ offsetSeconds }, negative rewinds)
+  async seek({ positionSeconds, offsetSeconds }, target, task = null) {
+    const signal = task?.signal;
+    const relative = typeof offsetSeconds === 'number';
+    if (!relative && typeof positionSeconds !== 'number') {
+      return { success: false, message: 'Tell me a position or how many seconds to jump' };
+    }
+    
+    let positionMs = positionSeconds * 1000;
+    if (relative) {
+      const player = await this.spotifyAPI('/me/player', 'GET', null, signal);
+      if (!player?.item) {
+        return { success: false, message: 'Nothing playing right now' };
       }
+      positionMs = player.progress_ms + offsetSeconds * 1000;
+    }
+    positionMs = Math.max(0, Math.round(positionMs));
+    
+    await this.spotifyAPI(`/me/player/seek?position_ms=${positionMs}${await this.activeDeviceQuery(target, task, '&')}`, 'PUT', null, signal);
+    
+    let message = `Jumped to ${formatPosition(positionMs)}`;
+    if (relative) {
+      message = `${offsetSeconds < 0 ? 'Rewound' : 'Skipped ahead'} ${Math.abs(offsetSeconds)} seconds, now at ${formatPosition(positionMs)}`;
+    }
+    return { success: true, message, positionMs };
+  }
+  
+  async restartTrack(target, task = null) {
+    const { track } = await this.getCurrentTrack(task?.signal);
+    if (!track) {
+      return { success: false, message: 'Nothing playing right now' };
+    }
+    
+    await this.spotifyAPI(`/me/player/seek?position_ms=0${await this.activeDeviceQuery(target, task, '&')}`, 'PUT', null, task?.signal);
+    return { success: true, message: `Starting "${track.name}" over` };
+  }
+  
+  async setShuffle(enabled, target, task = null) {
+    await this.spotifyAPI(`/me/player/shuffle?state=${Boolean(enabled)}${await this.activeDeviceQuery(target, task, '&')}`, 'PUT', null, task?.signal);
+    return { success: true, message: `Shuffle is ${enabled ? 'on' : 'off'}` };
+  }
+  
+  async setRepeat(mode, target, task = null) {
+    if (!REPEAT_MODES[mode]) {
+      return { success: false, message: `Unknown repeat mode "${mode}" - use track, context or off` };
+    }
+    
+    await this.spotifyAPI(`/me/player/repeat?state=${mode}${await this.activeDeviceQuery(target, task, '&')}`, 'PUT', null, task?.signal);
+    return { success: true, message: REPEAT_MODES[mode] };
+  }
+  
+  async listDevices(signal = null) {
+    const { devices = [] } = await this.spotifyAPI('/me/player/devices', 'GET', null, signal);
+    if (devices.length === 0) {
+      return { success: true, message: 'No Spotify devices are available. Open Spotify on the device you want to use.', devices: [] };
+    }
+    
+    return {
+      success: true,
+      message: `Available devices: ${devices.map(d => d.is_active ? `${d.name} (playing)` : d.name).join(', ')}`,
+      devices: devices.map(d => ({ id: d.id, name: d.name, type: d.type, active: d.is_active, volume: d.volume_percent }))
     };
   }
   
-  async ensureDeviceActive(deviceId = null) {
+  // "Move it to my phone" - asks which device when the name matches several
+  async transferPlayback(name, sessionId, task = null) {
+    const { devices = [] } = await this.spotifyAPI('/me/player/devices', 'GET', null, task?.signal);
+    const matches = matchDevices(name, devices);
+    
+    if (matches.length === 0) {
+      const available = devices.map(d => d.name).join(', ');
+      return {
+        success: false,
+        message: devices.length > 0
+          ? `I couldn't find a device called "${name}". Available devices: ${available}`
+          : 'No Spotify devices are available. Open Spotify on the device you want to use.'
+      };
+    }
+    
+    if (matches.length > 1) {
+      const options = deviceOptions(matches.slice(0, 3));
+      log('AGENT', this.name, `Ambiguous device "${name}", asking user`, options.map(o => o.label));
+      return {
+        success: true,
+        inputRequired: true,
+        message: `Which device did you mean: ${options.map(o => `${o.id}. ${o.label}`).join(', ')}?`,
+        options
+      };
+    }
+    
+    return await this.transferToDevice(matches[0], sessionId, task);
+  }
+  
+  // Answer to an input-required transfer_playback task
+  async transferChoice(options, choice, sessionId, task = null) {
+    const option = options?.find(o => o.id === choice);
+    if (!option) {
+      return {
+        success: true,
+        inputRequired: true,
+        message: `Option ${choice} isn't available. Please pick one of: ${(options || []).map(o => `${o.id}. ${o.label}`).join(', ')}`,
+        options: options || []
+      };
+    }
+    return await this.transferToDevice({ id: option.deviceId, name: option.name }, sessionId, task);
+  }
+  
+  // Keeps the playing/paused state; the device becomes the session's device
+  async transferToDevice(device, sessionId, task = null) {
+    task?.progress(`Transferring playback to ${device.name}`);
+    await this.spotifyAPI('/me/player', 'PUT', { device_ids: [device.id] }, task?.signal);
+    this.bus.publish('session:device:selected', { sessionId, deviceId: device.id, source: 'transfer' });
+    log('AGENT', this.name, `Playback transferred to ${device.name} (${device.id})`);
+    
+    return { success: true, message: `Now playing on ${device.name}`, device: { id: device.id, name: device.name } };
+  }
+  
+  // Returns the device to play on and records it in target. When the session's device is gone,
+  // A2A tasks (task set) with several devices to pick from throw DeviceChoiceRequired;
+  // otherwise another device is used and target.switchedTo names it.
+  async ensureDeviceActive(target, task = null) {
+    const signal = task?.signal;
+    
     try {
       // Always get fresh list of available devices
-      const devices = await this.spotifyAPI('/me/player/devices');
+      const devices = await this.spotifyAPI('/me/player/devices', 'GET', null, signal);
       log('AGENT', this.name, `Available devices: ${JSON.stringify(devices.devices?.map(d => ({ name: d.name, id: d.id, active: d.is_active })) || [])}`);
       
       if (!devices.devices || devices.devices.length === 0) {
         throw new Error('No active Spotify device found. Please open Spotify app or refresh browser.');
       }
       
-      let targetDeviceId = deviceId || webPlaybackDeviceId;
+      let targetDeviceId = target.deviceId;
+      let lostDevice = false;
       
       // Check if the stored device ID is still valid
       if (targetDeviceId) {
         const deviceExists = devices.devices.some(d => d.id === targetDeviceId);
+        if (!deviceExists && target.explicit) {
+          throw new Error(`Spotify device ${targetDeviceId} is not available`);
+        }
         if (!deviceExists) {
           log('AGENT', this.name, `Stored device ${targetDeviceId} not found, selecting from available devices`);
+          if (task && devices.devices.length > 1) {
+            throw new DeviceChoiceRequired(devices.devices);
+          }
+          task?.progress('The session device is no longer available, picking another one');
           targetDeviceId = null;
+          lostDevice = true;
         }
       }
       
-      // If no valid device ID, select from available devices
+      // If no valid device ID, select from available devices and remember it for the session
       if (!targetDeviceId) {
         const activeDevice = devices.devices.find(d => d.is_active) || devices.devices[0];
         targetDeviceId = activeDevice.id;
-        // Update the global device ID
-        webPlaybackDeviceId = targetDeviceId;
+        if (lostDevice) target.switchedTo = activeDevice.name;
+        target.deviceId = targetDeviceId;
+        this.bus.publish('session:device:selected', { sessionId: target.sessionId, deviceId: targetDeviceId, source: 'auto' });
         log('AGENT', this.name, `Selected device: ${activeDevice.name} (${targetDeviceId})`);
       }
       
       // Transfer playback to the target device
       log('AGENT', this.name, `Transferring playback to device: ${targetDeviceId}`);
+      task?.progress('Transferring playback to device');
       await this.spotifyAPI('/me/player', 'PUT', {
         device_ids: [targetDeviceId],
         play: false // Don't auto-play, just transfer
-      });
+      }, signal);
       await new Promise(r => setTimeout(r, 300));
       
       return targetDeviceId;
@@ -779,31 +2861,33 @@ class SpotifyAgent {
     }
   }
   
-  async skipToNext(deviceParam) {
+  async skipToNext(target, task = null) {
+    const signal = task?.signal;
+    
     // Get current track before skip
-    const beforeTrack = await this.getCurrentTrack();
+    const beforeTrack = await this.getCurrentTrack(signal);
     const beforeUri = beforeTrack.track?.name;
     
     // Ensure device is active
-    if (webPlaybackDeviceId) {
-      await this.ensureDeviceActive(webPlaybackDeviceId);
-    }
+    const deviceParam = await this.activeDeviceQuery(target, task);
     
     // Try the standard next command
+    task?.progress('Skipping to next track');
     try {
-      await this.spotifyAPI(`/me/player/next${deviceParam}`, 'POST');
+      await this.spotifyAPI(`/me/player/next${deviceParam}`, 'POST', null, signal);
       await new Promise(r => setTimeout(r, 800));
     } catch (e) {
       log('AGENT', this.name, `Next command failed: ${e.message}`);
     }
     
     // Check if track actually changed
-    const afterTrack = await this.getCurrentTrack();
+    const afterTrack = await this.getCurrentTrack(signal);
     const afterUri = afterTrack.track?.name;
     
     // If track didn't change, search for a different song
     if (beforeUri && afterUri && beforeUri === afterUri) {
       log('AGENT', this.name, 'Track did not change, searching for a new song...');
+      task?.progress('Track did not change, searching for a new song');
       
       // Search for different music - use genre/random search
       const searches = [
@@ -815,7 +2899,7 @@ class SpotifyAgent {
       ];
       const randomSearch = searches[Math.floor(Math.random() * searches.length)];
       
-      const searchResult = await this.spotifyAPI(`/search?q=${encodeURIComponent(randomSearch)}&type=track&limit=20&market=US`);
+      const searchResult = await this.spotifyAPI(`/search?q=${encodeURIComponent(randomSearch)}&type=track&limit=20&market=US`, 'GET', null, signal);
       
       if (searchResult.tracks?.items?.length > 0) {
         // Pick a random track from results
@@ -826,10 +2910,11 @@ class SpotifyAgent {
         
         await this.spotifyAPI(`/me/player/play${deviceParam}`, 'PUT', {
           uris: trackUris
-        });
+        }, signal);
         
         this.lastPlayedQuery = randomSearch;
         this.lastTrackUri = newTrack.uri;
+        this.rememberTrack(target.sessionId, newTrack);
         
         log('AGENT', this.name, `Playing new track: ${newTrack.name}`);
         return {
@@ -839,42 +2924,76 @@ class SpotifyAgent {
       }
     }
     
+    if (afterTrack.track) {
+      this.rememberTrack(target.sessionId, afterTrack.track);
+    }
+    
     return {
       success: true,
       message: afterTrack.track ? `Now playing: ${afterTrack.track.name}` : 'Skipped to next track'
     };
   }
   
-  async playByMood(mood, deviceParam) {
+  async playByMood(mood, target, task = null) {
+    const signal = task?.signal;
+    let deviceParam;
+    
     // Ensure device is active before playing
     try {
-      const targetDeviceId = await this.ensureDeviceActive(webPlaybackDeviceId);
-      deviceParam = `?device_id=${targetDeviceId}`;
+      deviceParam = `?device_id=${await this.ensureDeviceActive(target, task)}`;
     } catch (e) {
+      if (e instanceof DeviceChoiceRequired) throw e;
       return { success: false, message: e.message };
     }
     
-    const moodToSearch = {
-      happy: 'happy upbeat pop hits',
-      sad: 'sad emotional acoustic',
-      energetic: 'energetic workout dance',
-      calm: 'calm relaxing ambient',
-      angry: 'rock metal intense',
-      romantic: 'romantic love songs',
-      focused: 'focus study concentration',
-      party: 'party dance hits'
-    };
+    const searchQuery = MOOD_PROFILES[mood]?.search || 'popular hits';
     
-    const searchQuery = moodToSearch[mood] || 'popular hits';
+    // Prefer the user's own music for the mood
+    task?.progress(`Picking ${mood} music from your listening`);
+    const picks = await this.recommendForMood(mood, target.sessionId, signal);
+    if (picks.length > 0) {
+      // Topped up with search hits so playback doesn't stop after a handful of songs
+      const known = new Set(picks.map(t => t.uri));
+      const fill = picks.length < RECOMMENDATION_SIZE
+        ? await this.spotifyAPI(`/search?q=${encodeURIComponent(searchQuery)}&type=track&limit=20&market=US`, 'GET', null, signal)
+        : null;
+      const extra = (fill?.tracks?.items || []).filter(t => !known.has(t.uri)).slice(0, RECOMMENDATION_SIZE - picks.length);
+      const firstTrack = picks[0];
+      
+      task?.progress(`Starting playback: ${firstTrack.name}`);
+      await this.spotifyAPI(`/me/player/play${deviceParam}`, 'PUT', {
+        uris: [...picks, ...extra].map(t => t.uri)
+      }, signal);
+      this.rememberTrack(target.sessionId, firstTrack);
+      
+      return {
+        success: true,
+        message: `Playing ${mood} music from your favorites: "${firstTrack.name}" by ${firstTrack.artists[0].name}`,
+        personalized: true
+      };
+    }
     
     // First try to find a playlist
-    let searchResult = await this.spotifyAPI(`/search?q=${encodeURIComponent(searchQuery)}&type=playlist&limit=1&market=US`);
+    task?.progress(`Searching for ${mood} playlists`);
+    let searchResult = await this.spotifyAPI(`/search?q=${encodeURIComponent(searchQuery)}&type=playlist&limit=1&market=US`, 'GET', null, signal);
     
     if (searchResult.playlists?.items?.length > 0) {
       const playlist = searchResult.playlists.items[0];
+      task?.progress(`Starting playlist: ${playlist.name}`);
       await this.spotifyAPI(`/me/player/play${deviceParam}`, 'PUT', {
         context_uri: playlist.uri
-      });
+      }, signal);
+      
+      // The search hit doesn't list tracks - remember the one the playlist starts with.
+      // Playback already started, so a failed lookup only costs the session playlist that track
+      try {
+        const firstItem = await this.spotifyAPI(`/playlists/${playlist.id}/tracks?limit=1`, 'GET', null, signal);
+        if (firstItem.items?.[0]?.track) {
+          this.rememberTrack(target.sessionId, firstItem.items[0].track);
+        }
+      } catch (error) {
+        log('ERROR', this.name, `Could not read the first track of ${playlist.name}`, error.message);
+      }
       return { 
         success: true, 
         message: `Playing ${mood} music: "${playlist.name}"`
@@ -882,7 +3001,8 @@ class SpotifyAgent {
     }
     
     // Fallback to track search if no playlist found
-    searchResult = await this.spotifyAPI(`/search?q=${encodeURIComponent(searchQuery)}&type=track&limit=20&market=US`);
+    task?.progress(`Searching for ${mood} tracks`);
+    searchResult = await this.spotifyAPI(`/search?q=${encodeURIComponent(searchQuery)}&type=track&limit=20&market=US`, 'GET', null, signal);
     
     if (!searchResult.tracks?.items?.length) {
       return { success: false, message: 'No music found for this mood' };
@@ -891,23 +3011,202 @@ class SpotifyAgent {
     const trackUris = searchResult.tracks.items.map(t => t.uri);
     const firstTrack = searchResult.tracks.items[0];
     
+    task?.progress(`Starting playback: ${firstTrack.name}`);
     await this.spotifyAPI(`/me/player/play${deviceParam}`, 'PUT', {
       uris: trackUris
-    });
+    }, signal);
+    this.rememberTrack(target.sessionId, firstTrack);
     
     return { 
       success: true, 
       message: `Playing ${mood} music: "${firstTrack.name}" by ${firstTrack.artists[0].name}`
     };
   }
+  
+  // Personal picks for playByMood - errors (e.g. accounts linked before user-top-read) fall back to search
+  async recommendForMood(mood, sessionId, signal = null) {
+    try {
+      return await this.recommender.recommend(mood, await resolveSpotifyUser(sessionId), signal);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      log('ERROR', this.name, `Recommendations unavailable, using search: ${error.message}`);
+      return [];
+    }
+  }
+  
+  // Tracks played in the session (playMusic/playOption, playByMood, skipToNext) for save_session_playlist
+  rememberTrack(sessionId, track) {
+    if (!sessionId || !track?.uri) return;
+    const tracks = this.sessionTracks.get(sessionId) || [];
+    if (tracks.some(t => t.uri === track.uri)) return;
+    
+    tracks.push({ uri: track.uri, name: track.name, artist: track.artist || track.artists?.[0]?.name });
+    this.sessionTracks.set(sessionId, tracks.slice(-SESSION_TRACK_LIMIT));
+  }
+  
+  // Creates the playlist, or adds the tracks it doesn't have yet to the user's playlist with that name
+  async saveSessionPlaylist(sessionId, name, task = null) {
+    const signal = task?.signal;
+    const tracks = this.sessionTracks.get(sessionId) || [];
+    if (tracks.length === 0) {
+      return { success: false, message: 'No songs have been played in this session yet' };
+    }
+    
+    let playlistName = name?.trim() || `Music Buddy ${new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+    const user = await this.spotifyAPI('/me', 'GET', null, signal);
+    
+    task?.progress(`Looking for playlist "${playlistName}"`);
+    let playlist = await this.findOwnPlaylist(user.id, playlistName, signal);
+    const created = !playlist;
+    let existing = new Set();
+    
+    if (created) {
+      playlist = await this.spotifyAPI(`/users/${encodeURIComponent(user.id)}/playlists`, 'POST', {
+        name: playlistName,
+        description: 'Saved from a Music Buddy session',
+        public: false
+      }, signal);
+    } else {
+      existing = await this.getPlaylistTrackUris(playlist.id, signal);
+    }
+    
+    const uris = tracks.map(t => t.uri).filter(uri => !existing.has(uri));
+    playlistName = playlist.name;
+    task?.progress(`Adding ${uris.length} songs to "${playlistName}"`);
+    for (let i = 0; i < uris.length; i += PLAYLIST_PAGE_SIZE) {
+      await this.spotifyAPI(`/playlists/${playlist.id}/tracks`, 'POST', { uris: uris.slice(i, i + PLAYLIST_PAGE_SIZE) }, signal);
+    }
+    
+    log('AGENT', this.name, `Saved ${uris.length} tracks to playlist ${playlistName}`, { created });
+    const songs = (count) => `${count} song${count === 1 ? '' : 's'}`;
+    let message;
+    if (created) {
+      message = `Saved ${songs(uris.length)} to your new playlist "${playlistName}"`;
+    } else if (uris.length === 0) {
+      message = `"${playlistName}" already has all ${songs(tracks.length)} from this session`;
+    } else {
+      message = `Added ${songs(uris.length)} to your playlist "${playlistName}"`;
+    }
+    
+    return {
+      success: true,
+      message,
+      playlist: { id: playlist.id, name: playlistName, uri: playlist.uri, created },
+      added: uris.length
+    };
+  }
+  
+  async findOwnPlaylist(userId, name, signal = null) {
+    const wanted = name.toLowerCase();
+    let page = '/me/playlists?limit=50';
+    while (page) {
+      const result = await this.spotifyAPI(page, 'GET', null, signal);
+      const match = (result.items || []).find(p => p.owner?.id === userId && p.name.toLowerCase() === wanted);
+      if (match) return match;
+      page = result.next;
+    }
+    return null;
+  }
+  
+  async getPlaylistTrackUris(playlistId, signal = null) {
+    const uris = new Set();
+    let page = `/playlists/${playlistId}/tracks?limit=${PLAYLIST_PAGE_SIZE}&fields=items(track(uri)),next`;
+    while (page) {
+      const result = await this.spotifyAPI(page, 'GET', null, signal);
+      (result.items || []).forEach(item => item.track?.uri && uris.add(item.track.uri));
+      page = result.next;
+    }
+    return uris;
+  }
+  
+  // Liked Songs - the library endpoints take track ids, not uris
+  async saveCurrentTrack(sessionId, signal = null) {
+    const { track } = await this.getCurrentTrack(signal);
+    if (!track) {
+      return { success: false, message: 'Nothing is playing to save' };
+    }
+    // Local files and other non-track items have no id the library endpoints accept
+    if (!track.uri?.startsWith('spotify:track:')) {
+      return { success: false, message: `"${track.name}" isn't a Spotify track, so it can't be liked` };
+    }
+    
+    const id = track.uri.split(':').pop();
+    const [alreadySaved] = await this.spotifyAPI(`/me/tracks/contains?ids=${id}`, 'GET', null, signal);
+    if (!alreadySaved) {
+      await this.spotifyAPI(`/me/tracks?ids=${id}`, 'PUT', null, signal);
+      log('AGENT', this.name, `Liked: ${track.name}`);
+    }
+    
+    const likes = (this.sessionLikes.get(sessionId) || []).filter(t => t.uri !== track.uri);
+    this.sessionLikes.set(sessionId, [...likes, { uri: track.uri, name: track.name, artist: track.artist }]);
+    
+    return {
+      success: true,
+      message: alreadySaved
+        ? `"${track.name}" is already in your Liked Songs`
+        : `Saved "${track.name}" by ${track.artist} to your Liked Songs`,
+      track: { name: track.name, artist: track.artist }
+    };
+  }
+  
+  async removeCurrentTrack(sessionId, signal = null) {
+    const { track } = await this.getCurrentTrack(signal);
+    if (!track) {
+      return { success: false, message: 'Nothing is playing to remove' };
+    }
+    if (!track.uri?.startsWith('spotify:track:')) {
+      return { success: false, message: `"${track.name}" isn't a Spotify track, so it can't be in your Liked Songs` };
+    }
+    
+    await this.spotifyAPI(`/me/tracks?ids=${track.uri.split(':').pop()}`, 'DELETE', null, signal);
+    const likes = this.sessionLikes.get(sessionId);
+    if (likes) {
+      this.sessionLikes.set(sessionId, likes.filter(t => t.uri !== track.uri));
+    }
+    log('AGENT', this.name, `Unliked: ${track.name}`);
+    
+    return {
+      success: true,
+      message: `Removed "${track.name}" from your Liked Songs`,
+      track: { name: track.name, artist: track.artist }
+    };
+  }
+  
+  async listRecentLikes(sessionId, signal = null) {
+    const describe = (tracks) => tracks.map(t => `"${t.name}" by ${t.artist}`).join(', ');
+    const likes = this.sessionLikes.get(sessionId) || [];
+    if (likes.length > 0) {
+      return {
+        success: true,
+        message: `You liked ${likes.length} song${likes.length === 1 ? '' : 's'} this session: ${describe(likes)}`,
+        tracks: likes,
+        session: true
+      };
+    }
+    
+    const result = await this.spotifyAPI(`/me/tracks?limit=${RECENT_LIKES_SIZE}`, 'GET', null, signal);
+    const recent = (result.items || []).map(item => ({ uri: item.track.uri, name: item.track.name, artist: item.track.artists[0].name }));
+    return {
+      success: true,
+      message: recent.length > 0
+        ? `You haven't liked anything this session. Your latest liked songs: ${describe(recent)}`
+        : 'Your Liked Songs are empty',
+      tracks: recent,
+      session: false
+    };
+  }
 }
 
 // ================== AGENT: CONVERSATION (A2A Enabled) ==================
+// Playback commands can wait on device activation, so allow well over the usual round trip
+const SPOTIFY_COMMAND_TIMEOUT_MS = 30000;
+
 class ConversationAgent {
   constructor(bus) {
     this.bus = bus;
     this.name = 'CONVERSATION_AGENT';
     this.conversationHistory = new Map();
+    this.pendingChoices = new Map(); // sessionId -> options from an input-required result
     
     // A2A Agent Card
     this.agentCard = new AgentCard({
@@ -915,14 +3214,14 @@ class ConversationAgent {
       description: 'Processes natural language to detect user intent using GPT-4o function calling',
       version: '2.0.0',
       capabilities: {
-        streaming: false,
-        pushNotifications: false
+        streaming: false
       },
       skills: [
         {
           id: 'parse_intent',
           name: 'Parse Intent',
           description: 'Analyze user speech and detect music control intent',
+          scope: 'conversation:use',
           inputModes: ['text'],
           outputModes: ['text'],
           parameters: {
@@ -931,13 +3230,14 @@ class ConversationAgent {
               text: { type: 'string', description: 'User transcribed speech' },
               sessionId: { type: 'string' }
             },
-            required: ['text', 'sessionId']
+            required: ['text']
           }
         },
         {
           id: 'generate_response',
           name: 'Generate Response',
           description: 'Generate a conversational response for chat messages',
+          scope: 'conversation:use',
           parameters: {
             type: 'object',
             properties: {
@@ -954,22 +3254,21 @@ class ConversationAgent {
     // Register with A2A Protocol
     if (a2aProtocol) {
       a2aProtocol.registerAgent('conversation', this.agentCard, {
-        'parse_intent': (input, sessionId) => this.parseIntentA2A(input.text, sessionId),
-        'generate_response': (input, sessionId) => this.generateChatResponse(sessionId, input.text)
+        'parse_intent': (input, sessionId, task) => this.parseIntentA2A(input.text, sessionId, task.signal),
+        'generate_response': (input, sessionId, task) => this.generateChatResponse(sessionId, input.text, task.signal)
       });
     }
     
     bus.subscribe('speech:transcribed', (data) => this.handleTranscript(data));
-    bus.subscribe('spotify:result', (data) => this.handleSpotifyResult(data));
     
     log('AGENT', this.name, 'Initialized with A2A support');
   }
   
   // A2A Task Handler
-  async parseIntentA2A(text, sessionId) {
+  async parseIntentA2A(text, sessionId, signal = null) {
     const history = this.getHistory(sessionId);
     history.push({ role: 'user', content: text });
-    return await this.detectIntent(text, history);
+    return await this.detectIntent(text, history, signal);
   }
   
   getHistory(sessionId) {
@@ -1014,183 +3313,369 @@ class ConversationAgent {
       history.splice(0, history.length - 10);
     }
     
+    // Answer to a clarification question ("the band", "the second one")?
+    const option = this.resolvePendingChoice(sessionId, text);
+    if (option) {
+      log('AGENT', this.name, `Clarification answered: ${option.label}`);
+      await this.sendSpotifyCommand(sessionId, option.type === 'device' ? 'transfer_option' : 'play_option', { option });
+      return;
+    }
+    
     try {
-      // Use OpenAI Function Calling for more reliable intent detection
-      const tools = [
-        {
-          type: 'function',
-          function: {
-            name: 'play_specific_music',
-            description: 'Play a specific song, artist, album, or playlist. Use when user mentions a specific song name, artist name, band, or says things like "play X", "put on X", "I want to hear X"',
-            parameters: {
-              type: 'object',
-              properties: {
-                query: { 
-                  type: 'string', 
-                  description: 'The song name, artist name, or search query to play' 
-                }
+      const intent = await this.detectIntent(text, history);
+      
+      log('AGENT', this.name, 'Intent detected', intent);
+      this.bus.publish('conversation:intent', { sessionId, text, intent });
+      
+      await this.routeIntent(sessionId, intent, text);
+      
+    } catch (error) {
+      log('ERROR', this.name, 'Intent parsing failed', error.message);
+      this.bus.publish('response:ready', {
+        sessionId,
+        text: "I didn't quite catch that. Could you try again?",
+        type: 'error'
+      });
+      responseManager.unlock(sessionId);
+    }
+  }
+  
+  // Use OpenAI Function Calling for more reliable intent detection
+  async detectIntent(text, history, signal = null) {
+    const tools = [
+      {
+        type: 'function',
+        function: {
+          name: 'play_specific_music',
+          description: 'Play a specific song, artist, album, or playlist. Use when user mentions a specific song name, artist name, band, or says things like "play X", "put on X", "I want to hear X"',
+          parameters: {
+            type: 'object',
+            properties: {
+              query: { 
+                type: 'string', 
+                description: 'The song name, artist name, or search query to play' 
+              }
+            },
+            required: ['query']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'play_by_mood',
+          description: 'Play music based on mood/feeling. Use when user says "play something happy/sad/calm/energetic" or describes a feeling/vibe without a specific song',
+          parameters: {
+            type: 'object',
+            properties: {
+              mood: { 
+                type: 'string', 
+                enum: ['happy', 'sad', 'energetic', 'calm', 'angry', 'romantic', 'focused', 'party', 'chill', 'workout'],
+                description: 'The mood or vibe of music to play' 
+              }
+            },
+            required: ['mood']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'skip_to_next',
+          description: 'Skip to next song. Use for: next, skip, next song, different song, another song, change the song, play something else, I dont like this, switch, forward',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'go_to_previous',
+          description: 'Go back to previous song. Use for: previous, back, go back, last song, before, previous song. Not for rewinding within the song',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'pause_music',
+          description: 'Pause/stop the music. Use for: pause, stop, hold, wait, quiet, silence, shut up, mute',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'resume_music',
+          description: 'Resume/unpause music that was paused. Only use when NO specific song is mentioned. Use for: resume, continue, unpause, start again, play (without song name)',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'adjust_volume',
+          description: 'Change the volume level',
+          parameters: {
+            type: 'object',
+            properties: {
+              direction: { 
+                type: 'string', 
+                enum: ['up', 'down'],
+                description: 'Increase or decrease volume' 
               },
-              required: ['query']
+              level: { 
+                type: 'integer', 
+                minimum: 0,
+                maximum: 100,
+                description: 'Specific volume level 0-100 if mentioned' 
+              }
             }
           }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'play_by_mood',
-            description: 'Play music based on mood/feeling. Use when user says "play something happy/sad/calm/energetic" or describes a feeling/vibe without a specific song',
-            parameters: {
-              type: 'object',
-              properties: {
-                mood: { 
-                  type: 'string', 
-                  enum: ['happy', 'sad', 'energetic', 'calm', 'angry', 'romantic', 'focused', 'party', 'chill', 'workout'],
-                  description: 'The mood or vibe of music to play' 
-                }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'seek_position',
+          description: 'Jump within the current song. Use for: rewind a bit, go back 10 seconds, skip ahead 30 seconds, fast forward, jump to 1:30, skip the intro',
+          parameters: {
+            type: 'object',
+            properties: {
+              offset_seconds: {
+                type: 'number',
+                description: 'Relative jump in seconds, negative to rewind. "A bit" is 15 seconds'
               },
-              required: ['mood']
+              position_seconds: {
+                type: 'number',
+                description: 'Absolute position in seconds, e.g. 90 for "1:30"'
+              }
             }
           }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'skip_to_next',
-            description: 'Skip to next song. Use for: next, skip, next song, different song, another song, change the song, play something else, I dont like this, switch, forward',
-            parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'restart_track',
+          description: 'Play the current song again from the beginning. Use for: start this song over, from the top, restart, play this again from the start',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'set_shuffle',
+          description: 'Turn shuffle on or off. Use for: shuffle, mix it up, shuffle off, play in order',
+          parameters: {
+            type: 'object',
+            properties: {
+              enabled: { type: 'boolean' }
+            },
+            required: ['enabled']
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'set_repeat',
+          description: 'Set repeat. Use for: repeat this song / on repeat (track), repeat the playlist or album (context), stop repeating (off)',
+          parameters: {
+            type: 'object',
+            properties: {
+              mode: { type: 'string', enum: ['track', 'context', 'off'] }
+            },
+            required: ['mode']
           }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'go_to_previous',
-            description: 'Go back to previous song. Use for: previous, back, go back, last song, before, previous song',
-            parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'list_devices',
+          description: 'Tell which devices/speakers music can play on. Use for: what devices are there, which speakers can I use, where can I play',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'transfer_playback',
+          description: 'Move the music to another device. Use for: play this on the kitchen speaker, move it to my phone, switch to the TV, continue on my laptop',
+          parameters: {
+            type: 'object',
+            properties: {
+              device: { type: 'string', description: 'The device name as spoken, e.g. "kitchen speaker" or "my phone"' }
+            },
+            required: ['device']
           }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'pause_music',
-            description: 'Pause/stop the music. Use for: pause, stop, hold, wait, quiet, silence, shut up, mute',
-            parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'get_current_track',
+          description: 'Get info about currently playing song. Use for: whats playing, what is this, current song, who sings this, what song is this',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'add_to_queue',
+          description: 'Add a song to the queue without interrupting the current one. Use for: add X to the queue, queue X, play X after this, put X on later',
+          parameters: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'The song or artist to queue' }
+            },
+            required: ['query']
           }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'resume_music',
-            description: 'Resume/unpause music that was paused. Only use when NO specific song is mentioned. Use for: resume, continue, unpause, start again, play (without song name)',
-            parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'play_next',
+          description: 'Play a song right after the current one, ahead of anything queued. Use for: play X next, X next, after this song play X',
+          parameters: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'The song or artist to play next' }
+            },
+            required: ['query']
           }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'adjust_volume',
-            description: 'Change the volume level',
-            parameters: {
-              type: 'object',
-              properties: {
-                direction: { 
-                  type: 'string', 
-                  enum: ['up', 'down'],
-                  description: 'Increase or decrease volume' 
-                },
-                level: { 
-                  type: 'number', 
-                  description: 'Specific volume level 0-100 if mentioned' 
-                }
-              }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'get_queue',
+          description: 'Tell which songs are coming up. Use for: whats up next, whats next, whats in the queue, what comes after this',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'save_session_playlist',
+          description: 'Save the songs played so far as a Spotify playlist. Use for: save this as a playlist, save these songs as a playlist called X, add this session to my X playlist',
+          parameters: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Playlist name, if the user gave one' }
             }
           }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'get_current_track',
-            description: 'Get info about currently playing song. Use for: whats playing, what is this, current song, who sings this, what song is this',
-            parameters: { type: 'object', properties: {} }
-          }
-        },
-        {
-          type: 'function',
-          function: {
-            name: 'general_chat',
-            description: 'For general conversation, greetings, questions, or when no music command is detected',
-            parameters: {
-              type: 'object',
-              properties: {
-                message: { type: 'string', description: 'The user message' }
-              }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'save_current_track',
+          description: 'Save the song that is playing to Liked Songs. Use for: I love this song, save it, like this, add this to my likes',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'remove_current_track',
+          description: 'Remove the song that is playing from Liked Songs. Only when the user explicitly says unlike or mentions their likes / Liked Songs, e.g. unlike this, remove that from my likes, take it out of my Liked Songs. Plain dislike (I dont like this) means skip_to_next',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'list_recent_likes',
+          description: 'Tell which songs the user liked. Use for: what did I like today, which songs did I save, read my likes',
+          parameters: { type: 'object', properties: {} }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'general_chat',
+          description: 'For general conversation, greetings, questions, or when no music command is detected',
+          parameters: {
+            type: 'object',
+            properties: {
+              message: { type: 'string', description: 'The user message' }
             }
           }
         }
-      ];
+      }
+    ];
 
-      const response = await openai.chat.completions.create({
-        model: MODELS.INTENT_DETECTION,
-        messages: [
-          {
-            role: 'system',
-            content: `You are a voice assistant for music control. Listen carefully to what the user wants.
+    const response = await openai.chat.completions.create({
+      model: MODELS.INTENT_DETECTION,
+      messages: [
+        {
+          role: 'system',
+          content: `You are a voice assistant for music control. Listen carefully to what the user wants.
 
 CRITICAL RULES:
 1. If user says "play a song" or just "play" WITHOUT a specific name → resume_music (they want to continue)
 2. If user says "play [something specific]" → play_specific_music with that query
 3. "Another song", "different song", "next", "skip" → skip_to_next
 4. "Play something [mood]" without artist/song → play_by_mood
-5. Greetings like "hi", "hello", "bye" → general_chat
+5. "Add X to the queue", "queue X" → add_to_queue; "play X next" → play_next; "what's up next?" → get_queue
+6. "Save this as a playlist (called X)" → save_session_playlist
+7. "I love this song, save it" → save_current_track; "remove that from my likes" or "unlike this" → remove_current_track. "I don't like this" only skips - never change Liked Songs without an explicit unlike
+8. "Rewind a bit", "skip ahead 30 seconds" → seek_position (within the song); "start this song over" → restart_track
+9. "Play this on the kitchen speaker", "move it to my phone" → transfer_playback (not play_specific_music)
+10. Greetings like "hi", "hello", "bye" → general_chat
 
 Be flexible with accents and unclear speech. Try to understand the intent even if words are slightly wrong.`
-          },
-          ...history.slice(-3)
-        ],
-        tools,
-        tool_choice: 'required',
-        temperature: 0.1
-      });
-      
-      // Parse function call result
-      const toolCall = response.choices[0].message.tool_calls?.[0];
-      let intent;
-      
-      if (toolCall) {
-        const funcName = toolCall.function.name;
-        const args = JSON.parse(toolCall.function.arguments || '{}');
-        
-        // Map function names to intents
-        const funcToIntent = {
-          'play_specific_music': { intent: 'play_music', query: args.query },
-          'play_by_mood': { intent: 'play_mood', mood: args.mood },
-          'skip_to_next': { intent: 'next' },
-          'go_to_previous': { intent: 'previous' },
-          'pause_music': { intent: 'pause' },
-          'resume_music': { intent: 'resume' },
-          'adjust_volume': { intent: 'volume', volume_level: args.level, volume_direction: args.direction },
-          'get_current_track': { intent: 'current_track' },
-          'general_chat': { intent: 'chat' }
-        };
-        
-        intent = { ...funcToIntent[funcName], confidence: 0.95 };
-        log('AGENT', this.name, `Function called: ${funcName}`, args);
-      } else {
-        intent = { intent: 'chat', confidence: 0.5 };
-      }
-      
-      log('AGENT', this.name, 'Intent detected', intent);
+        },
+        ...history.slice(-3)
+      ],
+      tools,
+      tool_choice: 'required',
+      temperature: 0.1
+    }, { signal });
+    
+    // Parse function call result
+    const toolCall = response.choices[0].message.tool_calls?.[0];
+    let intent;
+    
+    if (toolCall) {
+      const funcName = toolCall.function.name;
+      const args = JSON.parse(toolCall.function.arguments || '{}');
       
-      await this.routeIntent(sessionId, intent, text);
+      // Map function names to intents
+      const funcToIntent = {
+        'play_specific_music': { intent: 'play_music', query: args.query },
+        'play_by_mood': { intent: 'play_mood', mood: args.mood },
+        'skip_to_next': { intent: 'next' },
+        'go_to_previous': { intent: 'previous' },
+        'pause_music': { intent: 'pause' },
+        'resume_music': { intent: 'resume' },
+        'adjust_volume': { intent: 'volume', volume_level: args.level, volume_direction: args.direction },
+        'seek_position': { intent: 'seek', offset_seconds: args.offset_seconds, position_seconds: args.position_seconds },
+        'restart_track': { intent: 'restart_track' },
+        'set_shuffle': { intent: 'shuffle', enabled: args.enabled },
+        'set_repeat': { intent: 'repeat', mode: args.mode },
+        'list_devices': { intent: 'list_devices' },
+        'transfer_playback': { intent: 'transfer_playback', device: args.device },
+        'get_current_track': { intent: 'current_track' },
+        'add_to_queue': { intent: 'add_to_queue', query: args.query },
+        'play_next': { intent: 'play_next', query: args.query },
+        'get_queue': { intent: 'get_queue' },
+        'save_session_playlist': { intent: 'save_playlist', name: args.name },
+        'save_current_track': { intent: 'save_track' },
+        'remove_current_track': { intent: 'remove_track' },
+        'list_recent_likes': { intent: 'list_likes' },
+        'general_chat': { intent: 'chat' }
+      };
       
-    } catch (error) {
-      log('ERROR', this.name, 'Intent parsing failed', error.message);
-      this.bus.publish('response:ready', {
-        sessionId,
-        text: "I didn't quite catch that. Could you try again?",
-        type: 'error'
-      });
-      responseManager.unlock(sessionId);
+      intent = { ...funcToIntent[funcName], confidence: 0.95 };
+      log('AGENT', this.name, `Function called: ${funcName}`, args);
+    } else {
+      intent = { intent: 'chat', confidence: 0.5 };
     }
+    
+    return intent;
   }
   
   async routeIntent(sessionId, intent, originalText) {
@@ -1200,70 +3685,81 @@ Be flexible with accents and unclear speech. Try to understand the intent even i
     
     switch (action) {
       case 'play_music':
-        this.bus.publish('spotify:command', {
-          sessionId,
-          command: 'play_music',
-          args: { query: intent.query }
-        });
+        await this.sendSpotifyCommand(sessionId, 'play_music', { query: intent.query });
         break;
         
       case 'pause':
-        this.bus.publish('spotify:command', {
-          sessionId,
-          command: 'pause',
-          args: {}
-        });
+        await this.sendSpotifyCommand(sessionId, 'pause', {});
         break;
         
       case 'resume':
-        this.bus.publish('spotify:command', {
-          sessionId,
-          command: 'resume',
-          args: {}
-        });
+        await this.sendSpotifyCommand(sessionId, 'resume', {});
         break;
         
       case 'next':
-        this.bus.publish('spotify:command', {
-          sessionId,
-          command: 'next',
-          args: {}
-        });
+        await this.sendSpotifyCommand(sessionId, 'next', {});
         break;
         
       case 'previous':
-        this.bus.publish('spotify:command', {
-          sessionId,
-          command: 'previous',
-          args: {}
-        });
+        await this.sendSpotifyCommand(sessionId, 'previous', {});
         break;
         
       case 'volume':
         let level = intent.volume_level;
         if (intent.volume_direction === 'up') level = 80;
         if (intent.volume_direction === 'down') level = 30;
-        this.bus.publish('spotify:command', {
-          sessionId,
-          command: 'volume',
-          args: { level: level || 50 }
-        });
+        await this.sendSpotifyCommand(sessionId, 'volume', { level: level || 50 });
+        break;
+        
+      case 'seek':
+        await this.sendSpotifyCommand(sessionId, 'seek', { offsetSeconds: intent.offset_seconds, positionSeconds: intent.position_seconds });
+        break;
+        
+      case 'restart_track':
+        await this.sendSpotifyCommand(sessionId, 'restart_track', {});
+        break;
+        
+      case 'shuffle':
+        await this.sendSpotifyCommand(sessionId, 'shuffle', { enabled: intent.enabled });
+        break;
+        
+      case 'repeat':
+        await this.sendSpotifyCommand(sessionId, 'repeat', { mode: intent.mode });
+        break;
+        
+      case 'list_devices':
+        await this.sendSpotifyCommand(sessionId, 'list_devices', {});
+        break;
+        
+      case 'transfer_playback':
+        await this.sendSpotifyCommand(sessionId, 'transfer_playback', { device: intent.device });
         break;
         
       case 'current_track':
-        this.bus.publish('spotify:command', {
-          sessionId,
-          command: 'current_track',
-          args: {}
-        });
+        await this.sendSpotifyCommand(sessionId, 'current_track', {});
         break;
         
       case 'play_mood':
-        this.bus.publish('spotify:command', {
-          sessionId,
-          command: 'play_mood',
-          args: { mood: intent.mood }
-        });
+        await this.sendSpotifyCommand(sessionId, 'play_mood', { mood: intent.mood });
+        break;
+        
+      case 'add_to_queue':
+      case 'play_next':
+        await this.sendSpotifyCommand(sessionId, action, { query: intent.query });
+        break;
+        
+      case 'get_queue':
+        await this.sendSpotifyCommand(sessionId, 'get_queue', {});
+        break;
+        
+      case 'save_playlist':
+        await this.sendSpotifyCommand(sessionId, 'save_playlist', { name: intent.name });
+        break;
+        
+      case 'save_track':
+      case 'remove_track':
+      case 'list_likes':
+        await this.sendSpotifyCommand(sessionId, action, {});
         break;
         
       case 'chat':
@@ -1274,7 +3770,18 @@ Be flexible with accents and unclear speech. Try to understand the intent even i
     }
   }
   
-  async generateChatResponse(sessionId, text) {
+  async sendSpotifyCommand(sessionId, command, args) {
+    let result;
+    try {
+      result = await this.bus.request('spotify:command', { sessionId, command, args }, SPOTIFY_COMMAND_TIMEOUT_MS);
+    } catch (error) {
+      log('ERROR', this.name, `Spotify command failed: ${command}`, error.message);
+      result = { success: false, message: "Sorry, Spotify didn't respond in time." };
+    }
+    this.handleSpotifyResult({ sessionId, result });
+  }
+  
+  async generateChatResponse(sessionId, text, signal = null) {
     const history = this.getHistory(sessionId);
     
     const response = await openai.chat.completions.create({
@@ -1291,7 +3798,7 @@ If the user seems to want music but wasn't clear, ask what they'd like to hear.`
       ],
       temperature: 0.7,
       max_tokens: 100
-    });
+    }, { signal });
     
     const reply = response.choices[0].message.content;
     history.push({ role: 'assistant', content: reply });
@@ -1306,10 +3813,47 @@ If the user seems to want music but wasn't clear, ask what they'd like to hear.`
     responseManager.unlock(sessionId);
   }
   
+  // Match a spoken answer to the options of the last clarification question.
+  // Anything that doesn't match drops the question and is handled as a new request.
+  resolvePendingChoice(sessionId, text) {
+    const options = this.pendingChoices.get(sessionId);
+    if (!options) return null;
+    this.pendingChoices.delete(sessionId);
+    
+    const answer = text.toLowerCase();
+    const ordinals = [
+      ['first', '1', 'number one'],
+      ['second', '2', 'two', 'number two'],
+      ['third', '3', 'three', 'number three']
+    ];
+    const byOrdinal = options.find((option, i) => ordinals[i]?.some(word => new RegExp(`\\b${word}\\b`).test(answer)));
+    if (byOrdinal) return byOrdinal;
+    
+    if (/\b(band|artist|singer|group)\b/.test(answer)) {
+      const artist = options.find(o => o.type === 'artist');
+      if (artist) return artist;
+    }
+    
+    const byArtist = options.find(o => o.artist && answer.includes(o.artist.toLowerCase()));
+    if (byArtist) return byArtist;
+    
+    const byDevice = matchDevices(answer, options.filter(o => o.type === 'device'));
+    if (byDevice.length === 1) return byDevice[0];
+    
+    if (/\b(song|track)\b/.test(answer)) {
+      return options.find(o => o.type === 'track') || null;
+    }
+    return null;
+  }
+  
   handleSpotifyResult(data) {
     const { sessionId, result } = data;
     const history = this.getHistory(sessionId);
     
+    if (result.inputRequired) {
+      this.pendingChoices.set(sessionId, result.options);
+    }
+    
     history.push({ role: 'assistant', content: result.message });
     
     this.bus.publish('response:ready', {
@@ -1337,14 +3881,14 @@ class SentimentAgent {
       description: 'Analyzes emotional tone and mood from user messages for music recommendations',
       version: '2.0.0',
       capabilities: {
-        streaming: false,
-        pushNotifications: false
+        streaming: false
       },
       skills: [
         {
           id: 'analyze_sentiment',
           name: 'Analyze Sentiment',
           description: 'Analyzes text for emotional tone, mood, and intensity',
+          scope: 'mood:read',
           inputModes: ['text'],
           outputModes: ['text'],
           parameters: {
@@ -1359,6 +3903,7 @@ class SentimentAgent {
           id: 'get_mood_history',
           name: 'Get Mood History',
           description: 'Returns recent mood history for a session',
+          scope: 'mood:read',
           parameters: {
             type: 'object',
             properties: {
@@ -1374,7 +3919,7 @@ class SentimentAgent {
     // Register with A2A Protocol
     if (a2aProtocol) {
       a2aProtocol.registerAgent('sentiment', this.agentCard, {
-        'analyze_sentiment': (input, sessionId) => this.analyzeSentimentA2A(input, sessionId),
+        'analyze_sentiment': (input, sessionId, task) => this.analyzeSentimentA2A(input, sessionId, task.signal),
         'get_mood_history': (input, sessionId) => this.getMoodHistory(sessionId)
       });
     }
@@ -1385,8 +3930,8 @@ class SentimentAgent {
   }
   
   // A2A Task Handler
-  async analyzeSentimentA2A(input, sessionId) {
-    const result = await this.performSentimentAnalysis(input.text);
+  async analyzeSentimentA2A(input, sessionId, signal = null) {
+    const result = await this.performSentimentAnalysis(input.text, signal);
     this.storeMood(sessionId, result);
     return result;
   }
@@ -1405,7 +3950,7 @@ class SentimentAgent {
     });
   }
   
-  async performSentimentAnalysis(text) {
+  async performSentimentAnalysis(text, signal = null) {
     const response = await openai.chat.completions.create({
       model: MODELS.SENTIMENT_ANALYSIS,  // Using GPT-4o for better accuracy
       messages: [
@@ -1435,7 +3980,7 @@ Return JSON:
       ],
       temperature: 0.2,  // Lower temperature for more consistent analysis
       response_format: { type: 'json_object' }
-    });
+    }, { signal });
     
     return JSON.parse(response.choices[0].message.content);
   }
@@ -1446,6 +3991,7 @@ Return JSON:
     try {
       const sentiment = await this.performSentimentAnalysis(text);
       log('AGENT', this.name, 'Sentiment', sentiment);
+      this.bus.publish('sentiment:result', { sessionId, sentiment });
       
       this.storeMood(sessionId, sentiment);
       
@@ -1482,14 +4028,14 @@ class SpeechAgent {
       description: 'Handles speech-to-text (Whisper) and text-to-speech (OpenAI TTS) operations',
       version: '2.0.0',
       capabilities: {
-        streaming: true,
-        pushNotifications: false
+        streaming: false
       },
       skills: [
         {
           id: 'transcribe_audio',
           name: 'Transcribe Audio',
           description: 'Convert audio to text using OpenAI Whisper',
+          scope: 'speech:use',
           inputModes: ['audio'],
           outputModes: ['text'],
           parameters: {
@@ -1504,6 +4050,7 @@ class SpeechAgent {
           id: 'generate_speech',
           name: 'Generate Speech',
           description: 'Convert text to speech using OpenAI TTS',
+          scope: 'speech:use',
           inputModes: ['text'],
           outputModes: ['audio'],
           parameters: {
@@ -1522,8 +4069,8 @@ class SpeechAgent {
     // Register with A2A Protocol
     if (a2aProtocol) {
       a2aProtocol.registerAgent('speech', this.agentCard, {
-        'transcribe_audio': (input) => this.transcribeAudioA2A(input.audioData),
-        'generate_speech': (input, sessionId) => this.generateSpeechA2A(input.text, sessionId)
+        'transcribe_audio': (input, sessionId, task) => this.transcribeAudioA2A(input.audioData, task.signal),
+        'generate_speech': (input, sessionId, task) => this.generateSpeechA2A(input.text, task.signal)
       });
     }
     
@@ -1535,13 +4082,16 @@ class SpeechAgent {
   }
   
   // A2A Task Handlers
-  async transcribeAudioA2A(audioData) {
+  async transcribeAudioA2A(audioData, signal = null) {
     const buffer = Buffer.from(audioData, 'base64');
-    return await this.transcribeBuffer(buffer);
+    // Accept both WAV files and raw 16kHz PCM like the WebSocket stream
+    const wavBuffer = buffer.subarray(0, 4).toString() === 'RIFF' ? buffer : this.pcmToWav(buffer);
+    return { text: await this.transcribe(wavBuffer, signal) };
   }
   
-  async generateSpeechA2A(text, sessionId) {
-    return await this.performTTS(text, sessionId);
+  async generateSpeechA2A(text, signal = null) {
+    const audio = await this.synthesize(text, signal);
+    return { audio, format: 'mp3' };
   }
   
   // Calculate RMS (Root Mean Square) audio level from PCM data
@@ -1726,7 +4276,7 @@ class SpeechAgent {
     return wavBuffer;
   }
   
-  async transcribe(wavBuffer) {
+  async transcribe(wavBuffer, signal = null) {
     // Use OpenAI's toFile helper for Node.js
     const file = await toFile(wavBuffer, 'audio.wav', { type: 'audio/wav' });
     
@@ -1735,11 +4285,24 @@ class SpeechAgent {
       file: file,
       language: 'en',
       response_format: 'text'
-    });
+    }, { signal });
     
     return response;
   }
   
+  // Text to base64 MP3 via OpenAI TTS
+  async synthesize(text, signal = null) {
+    const response = await openai.audio.speech.create({
+      model: MODELS.TTS_MODEL,
+      voice: MODELS.TTS_VOICE,
+      input: text,
+      response_format: 'mp3'
+    }, { signal });
+    
+    const arrayBuffer = await response.arrayBuffer();
+    return Buffer.from(arrayBuffer).toString('base64');
+  }
+  
   async generateSpeech(data) {
     const { sessionId, text, type } = data;
     
@@ -1758,15 +4321,7 @@ class SpeechAgent {
     log('AGENT', this.name, `Generating speech: "${text.substring(0, 50)}..."`);
     
     try {
-      const response = await openai.audio.speech.create({
-        model: MODELS.TTS_MODEL,
-        voice: MODELS.TTS_VOICE,
-        input: text,
-        response_format: 'mp3'
-      });
-      
-      const arrayBuffer = await response.arrayBuffer();
-      const base64Audio = Buffer.from(arrayBuffer).toString('base64');
+      const base64Audio = await this.synthesize(text);
       
       this.bus.publish('client:audio', {
         sessionId,
@@ -1812,24 +4367,26 @@ class OrchestratorAgent {
       description: 'Coordinates all agents and manages user sessions in the Music Buddy system',
       version: '2.0.0',
       capabilities: {
-        streaming: true,
-        pushNotifications: true
+        streaming: false
       },
       skills: [
         {
           id: 'coordinate_agents',
           name: 'Coordinate Agents',
-          description: 'Routes messages between agents and manages workflow'
+          description: 'Routes messages between agents and manages workflow',
+          scope: 'agents:read'
         },
         {
           id: 'manage_sessions',
           name: 'Manage Sessions',
-          description: 'Creates and manages user sessions'
+          description: 'Creates and manages user sessions',
+          scope: 'sessions:read'
         },
         {
           id: 'list_agents',
           name: 'List Agents',
-          description: 'Returns list of all registered agents and their capabilities'
+          description: 'Returns list of all registered agents and their capabilities',
+          scope: 'agents:read'
         }
       ]
     });
@@ -1842,50 +4399,349 @@ class OrchestratorAgent {
       });
     }
     
-    // Initialize all agents
-    this.spotifyAgent = new SpotifyAgent(bus);
-    this.conversationAgent = new ConversationAgent(bus);
-    this.sentimentAgent = new SentimentAgent(bus);
-    this.speechAgent = new SpeechAgent(bus);
-    
-    log('AGENT', this.name, 'All agents initialized with A2A Protocol');
-  }
+    // Initialize the agents this process runs - the rest run in workers (see DISTRIBUTED AGENTS)
+    this.spotifyAgent = LOCAL_AGENTS.has('spotify') ? new SpotifyAgent(bus) : null;
+    this.conversationAgent = LOCAL_AGENTS.has('conversation') ? new ConversationAgent(bus) : null;
+    this.sentimentAgent = LOCAL_AGENTS.has('sentiment') ? new SentimentAgent(bus) : null;
+    this.speechAgent = LOCAL_AGENTS.has('speech') ? new SpeechAgent(bus) : null;
+    
+    // Each session plays on its own device - picked by the browser or auto-selected by SpotifyAgent
+    bus.subscribe('session:device:selected', ({ sessionId, deviceId }) => this.setSessionDevice(sessionId, deviceId));
+    bus.subscribe('session:account:linked', ({ sessionId, userId }) => this.setSessionAccount(sessionId, userId));
+    bus.subscribe('spotify:account:removed', ({ userId }) => this.sessions.forEach((session, sessionId) => {
+      if (session.spotifyUserId === userId) this.setSessionAccount(sessionId, null);
+    }));
+    if (!WORKER_MODE) {
+      bus.respond('session:device', ({ sessionId }) => this.getSessionDevice(sessionId));
+      bus.respond('session:account', ({ sessionId }) => this.getSessionAccount(sessionId));
+    }
+    
+    log('AGENT', this.name, `Agents initialized with A2A Protocol: ${[...LOCAL_AGENTS].join(', ')}`);
+  }
+  
+  // clientId: the authenticated client that opened the session - only it may use the session over A2A
+  registerSession(sessionId, ws, clientId) {
+    this.sessions.set(sessionId, { ws, clientId, startTime: Date.now(), deviceId: null, spotifyUserId: null });
+    log('AGENT', this.name, `Session registered: ${sessionId}`);
+  }
+  
+  setSessionDevice(sessionId, deviceId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    session.deviceId = deviceId;
+    log('AGENT', this.name, `Session ${sessionId} playback device: ${deviceId}`);
+  }
+  
+  getSessionDevice(sessionId) {
+    return this.sessions.get(sessionId)?.deviceId || null;
+  }
+  
+  // Spotify account whose tokens this session uses (null = default account)
+  setSessionAccount(sessionId, userId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+    session.spotifyUserId = userId;
+    log('AGENT', this.name, `Session ${sessionId} Spotify account: ${userId}`);
+  }
+  
+  getSessionAccount(sessionId) {
+    return this.sessions.get(sessionId)?.spotifyUserId || null;
+  }
+  
+  removeSession(sessionId) {
+    this.sessions.delete(sessionId);
+    log('AGENT', this.name, `Session removed: ${sessionId}`);
+  }
+  
+  getSession(sessionId) {
+    return this.sessions.get(sessionId);
+  }
+  
+  getSessionInfo(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    return {
+      sessionId,
+      startTime: session.startTime,
+      duration: Date.now() - session.startTime,
+      deviceId: session.deviceId,
+      spotifyUserId: session.spotifyUserId
+    };
+  }
+}
+
+// ================== AUTHENTICATION ==================
+// Clients authenticate with an API key (X-API-Key header, "Authorization: Bearer <key>",
+// or ?api_key= where headers can't be set, e.g. WebSocket) or an HS256 JWT bearer token.
+// Every client carries scopes such as playback:control or mood:read; "*" grants all.
+// Auth is disabled until auth-clients.json or AUTH_JWT_SECRET is configured.
+const AUTH_CONFIG_FILE = path.join(__dirname, 'auth-clients.json');
+
+class AuthManager {
+  constructor(config = {}) {
+    this.apiKeys = new Map(); // sha256(key) -> { clientId, scopes }
+    for (const client of config.apiKeys || []) {
+      this.apiKeys.set(this.hashKey(client.key), { clientId: client.clientId, scopes: client.scopes || [] });
+    }
+    
+    this.jwt = config.jwt?.secret ? config.jwt : null;
+    this.enabled = this.apiKeys.size > 0 || this.jwt !== null;
+    
+    if (this.enabled) {
+      log('INFO', 'AUTH', 'Authentication enabled', this.getCardAuthentication());
+    } else {
+      log('INFO', 'AUTH', 'Authentication disabled - add auth-clients.json or AUTH_JWT_SECRET to enable');
+    }
+  }
+  
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+  
+  // Schemes advertised in agent cards
+  getCardAuthentication() {
+    const schemes = [];
+    if (this.apiKeys.size > 0) schemes.push('apiKey');
+    if (this.jwt || this.apiKeys.size > 0) schemes.push('bearer');
+    return { schemes };
+  }
+  
+  // Resolve the caller from headers/query - throws -32005 when missing or invalid
+  authenticate(headers, query = {}) {
+    if (!this.enabled) {
+      return { clientId: 'anonymous', scopes: ['*'], scheme: 'none' };
+    }
+    
+    const authorization = headers['authorization'] || '';
+    const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+    const bearerIsJwt = bearer?.split('.').length === 3;
+    const apiKey = headers['x-api-key'] || query.api_key || (bearer && !bearerIsJwt ? bearer : null);
+    
+    if (apiKey) {
+      const client = this.apiKeys.get(this.hashKey(apiKey));
+      if (!client) throw new A2AError(-32005, 'Invalid API key');
+      return { ...client, scheme: 'apiKey' };
+    }
+    
+    const jwtToken = bearerIsJwt ? bearer : query.access_token;
+    if (jwtToken && this.jwt) {
+      return { ...this.verifyJwt(jwtToken), scheme: 'bearer' };
+    }
+    
+    throw new A2AError(-32005, 'Authentication required');
+  }
+  
+  requireScope(client, scope) {
+    if (client.scopes.includes('*') || client.scopes.includes(scope)) return;
+    throw new A2AError(-32006, `Missing scope: ${scope}`, { required: scope, clientId: client.clientId });
+  }
+  
+  verifyJwt(token) {
+    const [encodedHeader, encodedPayload, signature] = token.split('.');
+    let header, claims;
+    try {
+      header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+      claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+    } catch {
+      throw new A2AError(-32005, 'Malformed token');
+    }
+    
+    if (header.alg !== 'HS256') {
+      throw new A2AError(-32005, `Unsupported token algorithm: ${header.alg}`);
+    }
+    
+    const expected = crypto.createHmac('sha256', this.jwt.secret).update(`${encodedHeader}.${encodedPayload}`).digest();
+    const actual = Buffer.from(signature || '', 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw new A2AError(-32005, 'Invalid token signature');
+    }
+    
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.exp && now >= claims.exp) throw new A2AError(-32005, 'Token expired');
+    if (claims.nbf && now < claims.nbf) throw new A2AError(-32005, 'Token not yet valid');
+    if (this.jwt.issuer && claims.iss !== this.jwt.issuer) throw new A2AError(-32005, 'Invalid token issuer');
+    if (this.jwt.audience && ![].concat(claims.aud).includes(this.jwt.audience)) {
+      throw new A2AError(-32005, 'Invalid token audience');
+    }
+    
+    // OAuth-style "scope" string or a "scopes" array
+    const scopes = typeof claims.scope === 'string' ? claims.scope.split(' ').filter(Boolean) : (claims.scopes || []);
+    return { clientId: claims.sub || 'jwt-client', scopes };
+  }
+}
+
+function loadAuthConfig() {
+  const file = process.env.AUTH_CONFIG_FILE || AUTH_CONFIG_FILE;
+  let config = {};
+  
+  try {
+    if (fs.existsSync(file)) {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (e) {
+    // Never fall back to an open server because of a typo in the auth config
+    log('ERROR', 'AUTH', 'Auth config load error', e.message);
+    process.exit(1);
+  }
+  
+  if (process.env.AUTH_JWT_SECRET) {
+    config.jwt = { ...config.jwt, secret: process.env.AUTH_JWT_SECRET };
+  }
+  return config;
+}
+
+const auth = new AuthManager(loadAuthConfig());
+
+// ================== INITIALIZE A2A PROTOCOL ==================
+const TASK_STORE_FILE = path.join(__dirname, '.a2a-tasks.json');
+
+function createTaskStore() {
+  const options = {
+    maxSize: parseInt(process.env.A2A_TASK_MAX_SIZE, 10) || 1000,
+    ttlMs: (parseFloat(process.env.A2A_TASK_TTL_HOURS) || 24) * 60 * 60 * 1000
+  };
+  
+  // Workers never own tasks, and must not rewrite the main process's task file
+  if (process.env.A2A_TASK_STORE === 'memory' || REPLAY_FILE !== null || WORKER_MODE) {
+    return new MemoryTaskStore(options);
+  }
+  const file = process.env.A2A_TASK_STORE_FILE ? path.resolve(__dirname, process.env.A2A_TASK_STORE_FILE) : TASK_STORE_FILE;
+  return new FileTaskStore({ file, ...options });
+}
+
+a2aProtocol = new A2AProtocolHandler(messageBus, createTaskStore(), auth.getCardAuthentication(), { busTasks: !WORKER_MODE });
+
+// ================== INITIALIZE ORCHESTRATOR ==================
+const orchestrator = new OrchestratorAgent(messageBus);
+
+// ================== REMOTE A2A AGENTS ==================
+// Comma-separated agent URLs, e.g. A2A_REMOTE_AGENTS=http://lyrics.local:4000,http://calendar.local:4100
+const REMOTE_AGENT_OPTIONS = {
+  timeoutMs: parseInt(process.env.A2A_REMOTE_TIMEOUT_MS, 10) || 15000,
+  healthIntervalMs: parseInt(process.env.A2A_REMOTE_HEALTH_INTERVAL_MS, 10) || 30000
+};
+
+function registerConfiguredRemoteAgent(url) {
+  a2aProtocol.registerRemoteAgent(url, null, REMOTE_AGENT_OPTIONS)
+    .then(agent => log('A2A', 'REMOTE', `Remote agent registered: ${agent.name}`, { skills: agent.skills.map(s => s.id) }))
+    .catch(error => {
+      // A url that is not allowed will not become allowed by retrying
+      if (error instanceof A2AError) {
+        return log('ERROR', 'REMOTE', `Remote agent ${url} rejected`, error.message);
+      }
+      log('ERROR', 'REMOTE', `Remote agent ${url} unavailable, retrying`, error.message);
+      setTimeout(() => registerConfiguredRemoteAgent(url), REMOTE_AGENT_OPTIONS.healthIntervalMs).unref();
+    });
+}
+
+(REPLAY_FILE === null && !WORKER_MODE ? process.env.A2A_REMOTE_AGENTS || '' : '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean)
+  .forEach(registerConfiguredRemoteAgent);
+
+// ================== DISTRIBUTED AGENTS ==================
+// With a socket or Redis transport, agents can run in separate processes:
+//   BUS_TRANSPORT=socket AGENTS=conversation,sentiment,spotify node server-agents.js
+//   BUS_TRANSPORT=socket AGENTS=speech node server-agents.js --worker
+// Bus topics reach every process unchanged. For A2A, workers announce their agent cards
+// and the main process registers them with handlers that forward each task as a bus request.
+// Canceling a forwarded task publishes a2a:worker:cancel, which aborts the worker's copy.
+const WORKER_TASK_TIMEOUT_MS = parseInt(process.env.WORKER_TASK_TIMEOUT_MS, 10) || 60000;
+
+// Worker side: announce local agents and run the tasks forwarded to them
+function exposeWorkerAgents(bus, protocol) {
+  const agentIds = Array.from(protocol.agents.keys()).filter(agentId => agentId !== 'orchestrator');
+  
+  const announce = () => agentIds.forEach(agentId => bus.publish('a2a:agent:announce', {
+    agentId,
+    card: protocol.getAgentCard(agentId),
+    serialize: protocol.serializedAgents.has(agentId)
+  }));
+  
+  const running = new Map(); // main process taskId -> local copy of the task
+  
+  agentIds.forEach(agentId => bus.respond(`a2a:invoke:${agentId}`, async ({ skillId, input, sessionId, taskId }) => {
+    const task = new A2ATask(skillId, input, sessionId);
+    if (taskId) {
+      task.id = taskId;
+      running.set(taskId, task);
+    }
+    
+    try {
+      await protocol.runTask(task);
+    } finally {
+      running.delete(taskId);
+    }
+    if (task.state === TaskState.FAILED) throw new Error(task.error);
+    // A canceled task's caller has already stopped waiting - nothing to report
+    return task.output;
+  }));
   
-  registerSession(sessionId, ws) {
-    this.sessions.set(sessionId, { ws, startTime: Date.now() });
-    log('AGENT', this.name, `Session registered: ${sessionId}`);
-  }
+  bus.subscribe('a2a:worker:cancel', ({ taskId, reason }) => {
+    const task = running.get(taskId);
+    if (task && !task.isFinal()) {
+      log('A2A', 'PROTOCOL', `Canceling worker task ${taskId}`);
+      task.cancel(reason);
+    }
+  });
   
-  removeSession(sessionId) {
-    this.sessions.delete(sessionId);
-    log('AGENT', this.name, `Session removed: ${sessionId}`);
-  }
+  bus.subscribe('a2a:agent:discover', announce);
+  bus.subscribe('bus:connected', announce);
+}
+
+// Main side: register announced worker agents so A2A clients see one set of agents
+function adoptWorkerAgents(bus, protocol) {
+  const workerAgents = new Set();
   
-  getSession(sessionId) {
-    return this.sessions.get(sessionId);
-  }
+  bus.subscribe('a2a:agent:announce', ({ agentId, card, serialize }) => {
+    if (protocol.agents.has(agentId) && !workerAgents.has(agentId)) {
+      log('ERROR', 'A2A', `Worker agent ${agentId} ignored - it also runs in the main process`);
+      return;
+    }
+    
+    // Canceling a forwarded task stops waiting for it and tells the worker to abort its copy
+    const handlers = Object.fromEntries(card.skills.map(skill => [skill.id, async (input, sessionId, task) => {
+      const onAbort = () => bus.publish('a2a:worker:cancel', { taskId: task.id, reason: task.signal.reason?.message });
+      task.signal.addEventListener('abort', onAbort, { once: true });
+      try {
+        return await bus.request(`a2a:invoke:${agentId}`, { skillId: skill.id, input, sessionId, taskId: task.id }, WORKER_TASK_TIMEOUT_MS);
+      } finally {
+        task.signal.removeEventListener('abort', onAbort);
+      }
+    }]));
+    if (!workerAgents.has(agentId)) {
+      log('A2A', 'PROTOCOL', `Worker agent announced: ${agentId}`);
+    }
+    workerAgents.add(agentId);
+    protocol.registerAgent(agentId, new AgentCard(card), handlers, { serialize });
+  });
   
-  getSessionInfo(sessionId) {
-    const session = this.sessions.get(sessionId);
-    if (!session) return null;
-    return {
-      sessionId,
-      startTime: session.startTime,
-      duration: Date.now() - session.startTime
-    };
-  }
+  // Ask already running workers to announce themselves
+  bus.subscribe('bus:connected', () => bus.publish('a2a:agent:discover', {}));
 }
 
-// ================== INITIALIZE A2A PROTOCOL ==================
-a2aProtocol = new A2AProtocolHandler(messageBus);
-
-// ================== INITIALIZE ORCHESTRATOR ==================
-const orchestrator = new OrchestratorAgent(messageBus);
+if (WORKER_MODE) {
+  exposeWorkerAgents(messageBus, a2aProtocol);
+} else {
+  adoptWorkerAgents(messageBus, a2aProtocol);
+}
 
 // ================== WEBSOCKET HANDLING ==================
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
+  let client;
+  try {
+    const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+    client = auth.authenticate(req.headers, query);
+    auth.requireScope(client, 'voice:session');
+  } catch (error) {
+    log('INFO', 'AUTH', `WebSocket rejected: ${error.message}`);
+    ws.close(1008, error.message);
+    return;
+  }
+  
   const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  orchestrator.registerSession(sessionId, ws);
+  orchestrator.registerSession(sessionId, ws, client.clientId);
   
   log('INFO', 'SERVER', `New connection: ${sessionId}`);
   
@@ -1900,8 +4756,16 @@ wss.on('connection', (ws) => {
       try {
         const msg = JSON.parse(isString ? data : data.toString());
         if (msg.type === 'device_id') {
-          webPlaybackDeviceId = msg.deviceId;
-          log('INFO', 'SERVER', `Web Playback Device ID: ${webPlaybackDeviceId}`);
+          messageBus.publish('session:device:selected', { sessionId, deviceId: msg.deviceId, source: 'client' });
+        } else if (msg.type === 'spotify_login') {
+          try {
+            const account = verifySpotifyLogin(msg.userId, msg.key);
+            messageBus.publish('session:account:linked', { sessionId, userId: account.userId });
+            ws.send(JSON.stringify({ type: 'spotify_account', ...account }));
+          } catch (e) {
+            log('ERROR', 'SERVER', `Spotify login rejected for ${sessionId}: ${e.message}`);
+            ws.send(JSON.stringify({ type: 'spotify_account', error: e.message }));
+          }
         } else if (msg.type === 'stop_listening') {
           log('INFO', 'SERVER', '🛑 User stopped listening, processing audio...');
           messageBus.publish('audio:process_now', { sessionId });
@@ -1918,14 +4782,20 @@ wss.on('connection', (ws) => {
     }
   });
   
+  // Session subscriptions live only as long as the connection
+  const subscriptions = messageBus.scope();
+  
   ws.on('close', () => {
+    subscriptions.dispose();
     orchestrator.removeSession(sessionId);
+    messageBus.publish('session:closed', { sessionId });
     log('INFO', 'SERVER', `Connection closed: ${sessionId}`);
+    log('DEBUG', 'BUS', 'Subscribers after close', messageBus.subscriberCounts());
   });
   
   // Subscribe to events for this session
   const sendToClient = (event, handler) => {
-    messageBus.subscribe(event, (data) => {
+    subscriptions.subscribe(event, (data) => {
       if (data.sessionId === sessionId && ws.readyState === WebSocket.OPEN) {
         handler(data);
       }
@@ -1954,6 +4824,10 @@ wss.on('connection', (ws) => {
     }));
   });
   
+  sendToClient('client:spotify_relink', (data) => {
+    ws.send(JSON.stringify({ type: 'spotify_relink', userId: data.userId }));
+  });
+  
   sendToClient('client:echo_suppress', (data) => {
     ws.send(JSON.stringify({
       type: 'echo_suppress',
@@ -1963,22 +4837,300 @@ wss.on('connection', (ws) => {
 });
 
 // ================== REST API ==================
-app.get('/api/spotify-token', async (req, res) => {
+// Map protocol errors to HTTP status codes
+function errorStatus(error) {
+  if (!(error instanceof A2AError)) return 500;
+  return { [-32001]: 404, [-32002]: 404, [-32004]: 409, [-32005]: 401, [-32006]: 403 }[error.code] || 400;
+}
+
+function sendAuthError(req, res, error) {
+  const errorResponse = A2AMessage.createError(req.body?.id ?? null, error.code, error.message, error.data);
+  logA2A('AUTH ERROR', { endpoint: req.path, error: errorResponse.error });
+  res.status(errorStatus(error)).json(errorResponse);
+}
+
+// Attach the caller as req.auth - scope checks that depend on the payload happen in the route
+function authenticate(req, res, next) {
+  try {
+    req.auth = auth.authenticate(req.headers, req.query);
+    next();
+  } catch (error) {
+    sendAuthError(req, res, error);
+  }
+}
+
+function requireScope(scope) {
+  return (req, res, next) => authenticate(req, res, () => {
+    try {
+      auth.requireScope(req.auth, scope);
+      next();
+    } catch (error) {
+      sendAuthError(req, res, error);
+    }
+  });
+}
+
+function requireSkillScope(client, skillId) {
+  auth.requireScope(client, a2aProtocol.getSkillScope(skillId));
+}
+
+// Answering, cancelling or watching a task needs the same scope as running its skill,
+// from a client allowed to use the task's session
+function requireTaskScope(client, taskId) {
+  const task = a2aProtocol.tasks.get(taskId);
+  if (task) {
+    requireSkillScope(client, task.skillId);
+    requireSessionAccess(client, task.sessionId);
+  }
+}
+
+// A voice session's tasks run with the Spotify account it linked, so other clients
+// can't send tasks or register webhooks under its sessionId
+function requireSessionAccess(client, sessionId) {
+  const session = sessionId && orchestrator.getSession(sessionId);
+  if (session && session.clientId !== client.clientId) {
+    throw new A2AError(-32006, `Session belongs to another client: ${sessionId}`, { sessionId, clientId: client.clientId });
+  }
+}
+
+// requireSessionAccess() for routes that take a sessionId in the query or body
+function requireSessionOwner(req, res, next) {
+  try {
+    requireSessionAccess(req.auth, req.query.sessionId || req.body?.sessionId);
+    next();
+  } catch (error) {
+    sendAuthError(req, res, error);
+  }
+}
+
+// ================== SPOTIFY LOGIN (OAUTH PKCE) ==================
+// Links a Spotify account from the web UI: /auth/login redirects to Spotify with a PKCE
+// challenge and a one-time state, /auth/callback exchanges the code and stores the tokens,
+// then hands the { userId, key } login back to the page (sent as spotify_login).
+const SPOTIFY_LOGIN_TTL_MS = 10 * 60 * 1000;
+
+class SpotifyLoginFlow {
+  constructor() {
+    this.pending = new Map(); // state -> { verifier, redirectUri, createdAt }
+  }
+  
+  // Returns the Spotify authorize URL
+  start(redirectUri) {
+    this.prune();
+    const state = crypto.randomBytes(16).toString('base64url');
+    const verifier = crypto.randomBytes(64).toString('base64url');
+    this.pending.set(state, { verifier, redirectUri, createdAt: Date.now() });
+    
+    const authUrl = new URL(`${SPOTIFY_ACCOUNTS_URL}/authorize`);
+    authUrl.search = new URLSearchParams({
+      client_id: process.env.SPOTIFY_CLIENT_ID,
+      response_type: 'code',
+      redirect_uri: redirectUri,
+      scope: SPOTIFY_SCOPES.join(' '),
+      state,
+      code_challenge_method: 'S256',
+      code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url')
+    });
+    return authUrl.toString();
+  }
+  
+  // Exchanges the code and stores the account - returns { userId, displayName }
+  async finish(code, state) {
+    const login = this.pending.get(state);
+    this.pending.delete(state);
+    if (!login || Date.now() - login.createdAt > SPOTIFY_LOGIN_TTL_MS) {
+      throw new Error('Invalid or expired login state');
+    }
+    
+    const tokenResponse = await fetch(`${SPOTIFY_ACCOUNTS_URL}/api/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: login.redirectUri,
+        client_id: process.env.SPOTIFY_CLIENT_ID,
+        code_verifier: login.verifier
+      })
+    });
+    if (!tokenResponse.ok) {
+      throw new Error(`Token exchange failed: ${tokenResponse.status} ${await tokenResponse.text()}`);
+    }
+    const tokens = await tokenResponse.json();
+    
+    const profileResponse = await fetch(`${SPOTIFY_API_URL}/me`, {
+      headers: { 'Authorization': `Bearer ${tokens.access_token}` }
+    });
+    if (!profileResponse.ok) {
+      throw new Error(`Profile request failed: ${profileResponse.status}`);
+    }
+    const profile = await profileResponse.json();
+    const displayName = profile.display_name || profile.id;
+    
+    // npm run auth may have added accounts to the file since it was read
+    spotifyAccounts.load();
+    spotifyAccounts.set(profile.id, {
+      access_token: tokens.access_token,
+      refresh_token: tokens.refresh_token,
+      expires_at: Date.now() + (tokens.expires_in * 1000),
+      scope: tokens.scope,
+      display_name: displayName,
+      pkce: true
+    });
+    log('SUCCESS', 'SPOTIFY', `Account linked: ${displayName} (${profile.id})`);
+    return { userId: profile.id, displayName };
+  }
+  
+  prune() {
+    for (const [state, login] of this.pending) {
+      if (Date.now() - login.createdAt > SPOTIFY_LOGIN_TTL_MS) this.pending.delete(state);
+    }
+  }
+}
+
+const spotifyLoginFlow = new SpotifyLoginFlow();
+
+// Must match a Redirect URI of the Spotify app - defaults to this server's /auth/callback
+function spotifyRedirectUri(req) {
+  return process.env.SPOTIFY_AUTH_REDIRECT_URI || `${req.protocol}://${req.get('host')}/auth/callback`;
+}
+
+app.get('/auth/login', requireScope('spotify:token'), (req, res) => {
+  if (!process.env.SPOTIFY_CLIENT_ID) {
+    return res.status(500).json({ error: 'SPOTIFY_CLIENT_ID is not configured' });
+  }
+  res.redirect(spotifyLoginFlow.start(spotifyRedirectUri(req)));
+});
+
+// Spotify redirects the browser here - the one-time state stands in for authentication
+app.get('/auth/callback', async (req, res) => {
+  const { code, state, error } = req.query;
+  try {
+    if (error) {
+      throw new Error(`Spotify denied access: ${error}`);
+    }
+    const account = await spotifyLoginFlow.finish(code, state);
+    // In the fragment, so the key stays out of server logs, history sync and Referer headers
+    const key = spotifyAccounts.linkKey(account.userId);
+    res.redirect(`/#spotify_user=${encodeURIComponent(account.userId)}&spotify_key=${key}`);
+  } catch (e) {
+    log('ERROR', 'SPOTIFY', `Login failed: ${e.message}`);
+    res.status(400).type('text/plain').send(`Spotify login failed: ${e.message}`);
+  }
+});
+
+// Account a session plays with: the one it linked, else the default account
+app.get('/auth/status', requireScope('spotify:token'), requireSessionOwner, async (req, res) => {
+  const { sessionId } = req.query;
+  const userId = await resolveSpotifyUser(sessionId);
+  const account = userId && spotifyAccounts.get(userId);
+  if (!account) {
+    return res.json({ connected: false, loginUrl: '/auth/login' });
+  }
+  res.json({
+    connected: true,
+    userId,
+    displayName: account.display_name || userId,
+    linked: userId === orchestrator.getSessionAccount(sessionId),
+    relinkRequired: Boolean(account.relink_required),
+    expiresAt: account.expires_at,
+    scope: account.scope || null
+  });
+});
+
+// Forgets the account's tokens - needs the same { userId, key } login the browser holds.
+// The link_id goes with them, so that key (and every other browser's) stops working.
+app.post('/auth/logout', requireScope('spotify:token'), (req, res) => {
+  const { userId, key } = req.body || {};
+  if (!spotifyAccounts.verifyLinkKey(userId, key)) {
+    return res.status(403).json({ error: 'Invalid Spotify login key' });
+  }
+  if (!spotifyAccounts.get(userId)) {
+    return res.status(404).json({ error: `No tokens stored for Spotify user ${userId}` });
+  }
+  spotifyAccounts.remove(userId);
+  messageBus.publish('spotify:account:removed', { userId });
+  log('INFO', 'SPOTIFY', `Account removed: ${userId}`);
+  res.json({ success: true, userId });
+});
+
+// ?sessionId= returns the token of the account that session linked
+app.get('/api/spotify-token', requireScope('spotify:token'), requireSessionOwner, async (req, res) => {
   try {
-    const token = await getValidToken();
+    const token = await getValidToken(req.query.sessionId);
     res.json({ accessToken: token, token: token }); // Support both field names
   } catch (e) {
+    if (e instanceof SpotifyRelinkError) {
+      return res.status(401).json({ error: e.message, relinkRequired: true, loginUrl: '/auth/login' });
+    }
     res.status(500).json({ error: e.message });
   }
 });
 
-app.post('/api/set-device', (req, res) => {
-  webPlaybackDeviceId = req.body.deviceId;
-  log('INFO', 'SERVER', `Web Playback Device ID: ${webPlaybackDeviceId}`);
-  res.json({ success: true });
+app.post('/api/set-device', requireScope('playback:control'), requireSessionOwner, (req, res) => {
+  const { sessionId, deviceId } = req.body || {};
+  if (!deviceId) {
+    return res.status(400).json({ error: 'deviceId is required' });
+  }
+  if (!orchestrator.getSession(sessionId)) {
+    return res.status(404).json({ error: `Unknown session: ${sessionId}` });
+  }
+  messageBus.publish('session:device:selected', { sessionId, deviceId, source: 'client' });
+  res.json({ success: true, sessionId, deviceId });
+});
+
+// Subscriber count per MessageBus topic - client:* counts should track open sessions
+app.get('/api/bus/subscribers', requireScope('sessions:read'), (req, res) => {
+  res.json({ sessions: orchestrator.sessions.size, subscribers: messageBus.subscriberCounts() });
 });
 
 // ================== A2A PROTOCOL API ==================
+// Stream a task's state transitions as Server-Sent Events (A2A tasks/sendSubscribe)
+// Each event is a JSON-RPC response; the output arrives as an "artifact" event
+// right before the final "status" event, then the stream closes.
+function streamTask(res, requestId, task) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  
+  const sendEvent = (event, result) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(A2AMessage.createResponse(requestId, result))}\n\n`);
+  };
+  
+  // The stream also ends when the task waits for input - the answer opens a new stream
+  const isStreamEnd = () => task.isFinal() || task.state === TaskState.INPUT_REQUIRED;
+  
+  const sendStatus = (entry) => sendEvent('status', {
+    id: task.id,
+    sessionId: task.sessionId,
+    status: { state: entry.state, message: entry.message, timestamp: entry.timestamp },
+    final: isStreamEnd()
+  });
+  
+  const unsubscribe = task.onUpdate((updatedTask, entry) => {
+    if (entry.state === TaskState.COMPLETED || entry.state === TaskState.INPUT_REQUIRED) {
+      sendEvent('artifact', { id: task.id, sessionId: task.sessionId, output: task.output });
+    }
+    sendStatus(entry);
+    
+    if (isStreamEnd()) {
+      unsubscribe();
+      res.end();
+    }
+  });
+  
+  // Client went away - stop writing, but let the task finish
+  res.on('close', unsubscribe);
+  
+  // Resumed tasks start with their "Input received" transition instead
+  if (task.state === TaskState.SUBMITTED) {
+    sendStatus({ state: task.state, message: null, timestamp: task.createdAt });
+  }
+}
+
 // A2A Agent Discovery endpoint
 app.get('/.well-known/agent.json', (req, res) => {
   const response = orchestrator.agentCard.toJSON();
@@ -1988,7 +5140,7 @@ app.get('/.well-known/agent.json', (req, res) => {
 });
 
 // List all registered agents
-app.get('/api/a2a/agents', (req, res) => {
+app.get('/api/a2a/agents', requireScope('agents:read'), (req, res) => {
   logA2A('AGENTS LIST REQUEST', { endpoint: '/api/a2a/agents', method: 'GET' });
   const agents = a2aProtocol.listAgents();
   const response = { jsonrpc: '2.0', result: { agents } };
@@ -1997,7 +5149,7 @@ app.get('/api/a2a/agents', (req, res) => {
 });
 
 // Get specific agent card
-app.get('/api/a2a/agents/:agentId', (req, res) => {
+app.get('/api/a2a/agents/:agentId', requireScope('agents:read'), (req, res) => {
   logA2A('AGENT CARD REQUEST', { endpoint: `/api/a2a/agents/${req.params.agentId}`, method: 'GET', agentId: req.params.agentId });
   const card = a2aProtocol.getAgentCard(req.params.agentId);
   if (!card) {
@@ -2011,34 +5163,92 @@ app.get('/api/a2a/agents/:agentId', (req, res) => {
 });
 
 // Send task to agent (A2A tasks/send)
-app.post('/api/a2a/tasks/send', async (req, res) => {
+app.post('/api/a2a/tasks/send', authenticate, async (req, res) => {
   try {
-    const { skillId, input, sessionId } = req.body;
+    const { skillId, input, sessionId, pushNotification } = req.body;
     logA2A('TASK SEND REQUEST', { endpoint: '/api/a2a/tasks/send', method: 'POST', body: req.body });
     
-    if (!skillId) {
+    if (!skillId && !req.body.taskId) {
       const errorResponse = A2AMessage.createError(req.body.id, -32602, 'Missing skillId');
       logA2A('TASK SEND ERROR', errorResponse);
       return res.status(400).json(errorResponse);
     }
     
-    const task = await a2aProtocol.sendTask(skillId, input || {}, sessionId || 'api');
+    let task;
+    if (req.body.taskId) {
+      // Answer to an input-required task
+      requireTaskScope(req.auth, req.body.taskId);
+      task = await a2aProtocol.continueTask(req.body.taskId, input || {});
+    } else {
+      requireSkillScope(req.auth, skillId);
+      requireSessionAccess(req.auth, sessionId);
+      task = await a2aProtocol.sendTask(skillId, input || {}, sessionId || 'api', pushNotification);
+    }
     const response = A2AMessage.createResponse(req.body.id, task.toJSON());
     logA2A('TASK SEND RESPONSE', response);
     res.json(response);
   } catch (error) {
-    const errorResponse = A2AMessage.createError(req.body.id, -32603, error.message);
+    const isA2AError = error instanceof A2AError;
+    const errorResponse = A2AMessage.createError(req.body.id, isA2AError ? error.code : -32603, error.message, isA2AError ? error.data : null);
     logA2A('TASK SEND ERROR', errorResponse);
-    res.status(500).json(errorResponse);
+    res.status(errorStatus(error)).json(errorResponse);
+  }
+});
+
+// Send task and stream its progress (A2A tasks/sendSubscribe over SSE)
+app.post('/api/a2a/tasks/sendSubscribe', authenticate, async (req, res) => {
+  const { skillId, input, sessionId, pushNotification } = req.body;
+  logA2A('TASK SUBSCRIBE REQUEST', { endpoint: '/api/a2a/tasks/sendSubscribe', method: 'POST', body: req.body });
+  
+  const { taskId } = req.body;
+  if (!skillId && !taskId) {
+    const errorResponse = A2AMessage.createError(req.body.id, -32602, 'Missing skillId');
+    logA2A('TASK SUBSCRIBE ERROR', errorResponse);
+    return res.status(400).json(errorResponse);
+  }
+  
+  let task;
+  try {
+    if (taskId) {
+      requireTaskScope(req.auth, taskId);
+      task = a2aProtocol.resumeTask(taskId, input || {});
+    } else {
+      requireSkillScope(req.auth, skillId);
+      requireSessionAccess(req.auth, sessionId);
+      task = a2aProtocol.createTask(skillId, input || {}, sessionId || 'api', pushNotification);
+    }
+  } catch (error) {
+    const errorResponse = A2AMessage.createError(req.body.id, error.code || -32603, error.message, error.data);
+    logA2A('TASK SUBSCRIBE ERROR', errorResponse);
+    return res.status(errorStatus(error)).json(errorResponse);
+  }
+  streamTask(res, req.body.id, task);
+  await a2aProtocol.runTask(task, taskId ? (input || {}) : null);
+  logA2A('TASK SUBSCRIBE COMPLETE', task.toJSON());
+});
+
+// List tasks - query: sessionId, skillId, state (comma separated), since, until, limit, cursor
+app.get('/api/a2a/tasks', requireScope('tasks:read'), (req, res) => {
+  logA2A('TASK LIST REQUEST', { endpoint: '/api/a2a/tasks', method: 'GET', query: req.query });
+  try {
+    const params = { ...req.query };
+    if (typeof params.state === 'string') params.state = params.state.split(',');
+    const response = A2AMessage.createResponse(null, a2aProtocol.listTasks(params));
+    logA2A('TASK LIST RESPONSE', { count: response.result.tasks.length, nextCursor: response.result.nextCursor });
+    res.json(response);
+  } catch (error) {
+    const errorResponse = A2AMessage.createError(null, error.code, error.message, error.data);
+    logA2A('TASK LIST ERROR', errorResponse);
+    res.status(errorStatus(error)).json(errorResponse);
   }
 });
 
 // Get task status
-app.get('/api/a2a/tasks/:taskId', (req, res) => {
+app.get('/api/a2a/tasks/:taskId', requireScope('tasks:read'), (req, res) => {
   logA2A('TASK STATUS REQUEST', { endpoint: `/api/a2a/tasks/${req.params.taskId}`, method: 'GET', taskId: req.params.taskId });
   const task = a2aProtocol.getTask(req.params.taskId);
   if (!task) {
-    const errorResponse = A2AMessage.createError(null, -32001, 'Task not found');
+    const errorResponse = A2AMessage.createError(null, -32002, 'Task not found');
     logA2A('TASK STATUS ERROR', errorResponse);
     return res.status(404).json(errorResponse);
   }
@@ -2047,60 +5257,312 @@ app.get('/api/a2a/tasks/:taskId', (req, res) => {
   res.json(response);
 });
 
-// A2A JSON-RPC endpoint (full protocol compliance)
-app.post('/api/a2a/rpc', async (req, res) => {
-  const { jsonrpc, id, method, params } = req.body;
-  logA2A('JSON-RPC REQUEST', { endpoint: '/api/a2a/rpc', body: req.body });
+// Cancel a running task (A2A tasks/cancel)
+app.post('/api/a2a/tasks/:taskId/cancel', authenticate, (req, res) => {
+  logA2A('TASK CANCEL REQUEST', { endpoint: `/api/a2a/tasks/${req.params.taskId}/cancel`, method: 'POST', taskId: req.params.taskId });
+  try {
+    requireTaskScope(req.auth, req.params.taskId);
+    const task = a2aProtocol.cancelTask(req.params.taskId, req.body?.reason);
+    const response = A2AMessage.createResponse(req.body?.id || null, task.toJSON());
+    logA2A('TASK CANCEL RESPONSE', response);
+    res.json(response);
+  } catch (error) {
+    const errorResponse = A2AMessage.createError(req.body?.id || null, error.code, error.message);
+    logA2A('TASK CANCEL ERROR', errorResponse);
+    res.status(errorStatus(error)).json(errorResponse);
+  }
+});
+
+// A2A JSON-RPC method dispatch - returns the result or throws (A2AError carries the code)
+async function executeRpcMethod(method, params, client) {
+  // Every method takes named params
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    throw new A2AError(-32602, 'Invalid params: expected an object');
+  }
+  
+  switch (method) {
+    case 'tasks/send':
+      if (params.taskId) {
+        // Answer to an input-required task
+        requireTaskScope(client, params.taskId);
+        return (await a2aProtocol.continueTask(params.taskId, params.input || {})).toJSON();
+      }
+      if (!params.skillId) throw new A2AError(-32602, 'Missing skillId');
+      requireSkillScope(client, params.skillId);
+      requireSessionAccess(client, params.sessionId);
+      return (await a2aProtocol.sendTask(params.skillId, params.input, params.sessionId, params.pushNotification)).toJSON();
+      
+    case 'tasks/get': {
+      auth.requireScope(client, 'tasks:read');
+      if (!params.taskId) throw new A2AError(-32602, 'Missing taskId');
+      const task = a2aProtocol.getTask(params.taskId);
+      if (!task) throw new A2AError(-32002, 'Task not found');
+      return task;
+    }
+      
+    case 'tasks/list':
+      auth.requireScope(client, 'tasks:read');
+      return a2aProtocol.listTasks(params);
+      
+    case 'tasks/sendSubscribe':
+      // Only reachable from a batch - a single request is streamed by the endpoint
+      throw new A2AError(-32600, 'tasks/sendSubscribe cannot be batched');
+      
+    case 'tasks/cancel':
+      if (!params.taskId) throw new A2AError(-32602, 'Missing taskId');
+      requireTaskScope(client, params.taskId);
+      return a2aProtocol.cancelTask(params.taskId, params.reason).toJSON();
+      
+    case 'tasks/pushNotification/set':
+      auth.requireScope(client, 'tasks:write');
+      requireTaskScope(client, params.taskId);
+      requireSessionAccess(client, params.sessionId);
+      return a2aProtocol.setPushNotification(params);
+      
+    case 'tasks/pushNotification/get':
+      auth.requireScope(client, 'tasks:read');
+      requireTaskScope(client, params.taskId);
+      requireSessionAccess(client, params.sessionId);
+      return a2aProtocol.getPushNotification(params);
+      
+    case 'tasks/pushNotification/remove':
+      auth.requireScope(client, 'tasks:write');
+      requireTaskScope(client, params.taskId);
+      requireSessionAccess(client, params.sessionId);
+      return a2aProtocol.removePushNotification(params);
+      
+    case 'agents/list':
+      auth.requireScope(client, 'agents:read');
+      return { agents: a2aProtocol.listAgents() };
+      
+    case 'agents/get': {
+      auth.requireScope(client, 'agents:read');
+      if (!params.agentId) throw new A2AError(-32602, 'Missing agentId');
+      const card = a2aProtocol.getAgentCard(params.agentId);
+      if (!card) throw new A2AError(-32001, 'Agent not found');
+      return card;
+    }
+      
+    case 'agents/register':
+      auth.requireScope(client, 'agents:admin');
+      if (!params.url) throw new A2AError(-32602, 'Missing url');
+      return await a2aProtocol.registerRemoteAgent(params.url, params.agentId, REMOTE_AGENT_OPTIONS);
+      
+    default:
+      throw new A2AError(-32601, `Method not found: ${method}`);
+  }
+}
+
+// Requests without an id are notifications - they run but get no response
+function isRpcNotification(request) {
+  return request?.jsonrpc === '2.0'
+    && typeof request.method === 'string'
+    && !Object.prototype.hasOwnProperty.call(request, 'id');
+}
+
+// Run one JSON-RPC request; never throws, errors become error responses
+async function handleRpcRequest(request, client) {
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return { status: 400, response: A2AMessage.createError(null, -32600, 'Invalid Request') };
+  }
+  
+  const { jsonrpc, id = null, method, params = {} } = request;
+  logA2A('JSON-RPC REQUEST', { endpoint: '/api/a2a/rpc', body: request });
   
-  if (jsonrpc !== '2.0') {
-    const errorResponse = A2AMessage.createError(id, -32600, 'Invalid JSON-RPC version');
+  if (jsonrpc !== '2.0' || typeof method !== 'string') {
+    const errorResponse = A2AMessage.createError(id, -32600, jsonrpc !== '2.0' ? 'Invalid JSON-RPC version' : 'Invalid Request');
     logA2A('JSON-RPC ERROR', errorResponse);
-    return res.status(400).json(errorResponse);
+    return { status: 400, response: errorResponse };
   }
   
   try {
-    let result;
-    
-    switch (method) {
-      case 'tasks/send':
-        const task = await a2aProtocol.sendTask(params.skillId, params.input, params.sessionId);
-        result = task.toJSON();
-        break;
-        
-      case 'tasks/get':
-        result = a2aProtocol.getTask(params.taskId);
-        if (!result) throw new Error('Task not found');
-        break;
-        
-      case 'agents/list':
-        result = { agents: a2aProtocol.listAgents() };
-        break;
-        
-      case 'agents/get':
-        result = a2aProtocol.getAgentCard(params.agentId);
-        if (!result) throw new Error('Agent not found');
-        break;
-        
-      default:
-        const methodError = A2AMessage.createError(id, -32601, `Method not found: ${method}`);
-        logA2A('JSON-RPC ERROR', methodError);
-        return res.status(400).json(methodError);
-    }
-    
+    const result = await executeRpcMethod(method, params || {}, client);
     const response = A2AMessage.createResponse(id, result);
     logA2A('JSON-RPC RESPONSE', response);
-    res.json(response);
+    return { status: 200, response };
+  } catch (error) {
+    const isA2AError = error instanceof A2AError;
+    const errorResponse = A2AMessage.createError(id, isA2AError ? error.code : -32603, error.message, isA2AError ? error.data : null);
+    logA2A('JSON-RPC ERROR', errorResponse);
+    return { status: errorStatus(error), response: errorResponse };
+  }
+}
+
+// Tasks for a serialized agent (e.g. Spotify's shared player) keep their batch order;
+// everything else in the batch runs in parallel
+function rpcConcurrencyGroup(request) {
+  if (request?.method !== 'tasks/send') return null;
+  const skillId = request.params?.skillId || a2aProtocol.tasks.get(request.params?.taskId)?.skillId;
+  return a2aProtocol.getSerializedAgent(skillId);
+}
+
+async function handleRpcBatch(batch, client) {
+  const chains = new Map(); // concurrency group -> tail of its sequential chain
+  
+  const results = await Promise.all(batch.map(request => {
+    const group = rpcConcurrencyGroup(request);
+    if (!group) return handleRpcRequest(request, client);
+    
+    const run = (chains.get(group) || Promise.resolve()).then(() => handleRpcRequest(request, client));
+    chains.set(group, run);
+    return run;
+  }));
+  
+  return results
+    .filter((result, i) => !isRpcNotification(batch[i]))
+    .map(result => result.response);
+}
+
+// tasks/sendSubscribe answers with an SSE stream instead of a JSON response
+async function streamRpcTask(req, res) {
+  const { id = null } = req.body;
+  const params = req.body.params || {};
+  logA2A('JSON-RPC REQUEST', { endpoint: '/api/a2a/rpc', body: req.body });
+  
+  let task;
+  try {
+    if (typeof params !== 'object' || Array.isArray(params)) {
+      throw new A2AError(-32602, 'Invalid params: expected an object');
+    }
+    if (params.taskId) {
+      requireTaskScope(req.auth, params.taskId);
+      task = a2aProtocol.resumeTask(params.taskId, params.input || {});
+    } else {
+      if (!params.skillId) throw new A2AError(-32602, 'Missing skillId');
+      requireSkillScope(req.auth, params.skillId);
+      requireSessionAccess(req.auth, params.sessionId);
+      task = a2aProtocol.createTask(params.skillId, params.input, params.sessionId, params.pushNotification);
+    }
   } catch (error) {
-    const errorResponse = A2AMessage.createError(id, -32603, error.message);
+    const isA2AError = error instanceof A2AError;
+    const errorResponse = A2AMessage.createError(id, isA2AError ? error.code : -32603, error.message, isA2AError ? error.data : null);
     logA2A('JSON-RPC ERROR', errorResponse);
-    res.status(500).json(errorResponse);
+    return res.status(errorStatus(error)).json(errorResponse);
+  }
+  
+  streamTask(res, id, task);
+  await a2aProtocol.runTask(task, params.taskId ? (params.input || {}) : null);
+  logA2A('JSON-RPC STREAM COMPLETE', task.toJSON());
+}
+
+// A2A JSON-RPC endpoint (full protocol compliance, including batches and notifications)
+app.post('/api/a2a/rpc', authenticate, async (req, res) => {
+  const body = req.body;
+  
+  if (Array.isArray(body)) {
+    if (body.length === 0) {
+      return res.status(400).json(A2AMessage.createError(null, -32600, 'Invalid Request: empty batch'));
+    }
+    const responses = await handleRpcBatch(body, req.auth);
+    // A batch of only notifications gets no body
+    return responses.length > 0 ? res.json(responses) : res.status(204).end();
+  }
+  
+  if (body?.jsonrpc === '2.0' && body.method === 'tasks/sendSubscribe') {
+    return await streamRpcTask(req, res);
   }
+  
+  const { status, response } = await handleRpcRequest(body, req.auth);
+  if (isRpcNotification(body)) {
+    return res.status(204).end();
+  }
+  res.status(status).json(response);
 });
 
+// ================== EVENT REPLAY ==================
+// Feeds the transcripts of a BusRecorder file back through the real agents. Intents,
+// sentiment and chat replies are answered from the recording, Spotify by the mock API in
+// spotify-mock.js (recordings keep no response bodies) and TTS is skipped. The Spotify
+// commands, API calls and spoken replies are then compared with what was recorded.
+// Debouncing is off so every utterance is replayed.
+const REPLAY_COMPARED_EVENTS = {
+  'spotify:command': (data) => `${data.command} ${JSON.stringify(data.args)}`,
+  'spotify:api': (data) => `${data.method} ${data.endpoint} ${data.status ?? data.error}`,
+  'response:ready': (data) => `say "${data.text}"`
+};
+
+async function replayRecording(file) {
+  if (!file) throw new Error('Usage: node server-agents.js --replay <recording.jsonl>');
+  const records = fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+  const recorded = (event) => records.filter(record => record.event === event).map(record => record.data);
+  
+  const intents = recorded('conversation:intent');
+  const sentiments = recorded('sentiment:result').map(data => data.sentiment);
+  const chatReplies = recorded('response:ready').filter(data => data.type === 'chat').map(data => data.text);
+  
+  const { conversationAgent, sentimentAgent, spotifyAgent, speechAgent } = orchestrator;
+  conversationAgent.detectIntent = async (text) => {
+    const index = intents.findIndex(entry => entry.text === text);
+    return index === -1 ? { intent: 'chat', confidence: 0 } : intents.splice(index, 1)[0].intent;
+  };
+  sentimentAgent.performSentimentAnalysis = async () => sentiments.shift() || { mood: 'neutral', intensity: 0 };
+  const spotifyMock = createSpotifyMock();
+  const spotifyUrl = `${await spotifyMock.listen()}/v1`;
+  spotifyAgent.requestSpotifyAPI = (endpoint, method, body) => fetch(`${spotifyUrl}${endpoint}`, {
+    method,
+    headers: { 'Authorization': 'Bearer replay', 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  openai.chat.completions.create = async () => ({ choices: [{ message: { content: chatReplies.shift() || '' } }] });
+  speechAgent.synthesize = async () => '';
+  responseManager.shouldDebounce = () => false;
+  
+  const produced = [];
+  messageBus.subscribe('*', (data, event) => {
+    if (REPLAY_COMPARED_EVENTS[event]) produced.push(REPLAY_COMPARED_EVENTS[event](data));
+  });
+  
+  // Sessions get their recorded devices back; auto-selected devices are re-derived by the agents
+  new Set(records.map(record => record.sessionId).filter(Boolean))
+    .forEach(sessionId => orchestrator.registerSession(sessionId, null));
+  const inputs = records.filter(record => record.event === 'speech:transcribed' ||
+    (record.event === 'session:device:selected' && record.data.source === 'client'));
+  log('INFO', 'REPLAY', `Replaying ${recorded('speech:transcribed').length} utterance(s) from ${file}`);
+  for (const record of inputs) {
+    await messageBus.publish(record.event, record.data);
+  }
+  await new Promise(resolve => setImmediate(resolve));
+  
+  const expected = records
+    .filter(record => REPLAY_COMPARED_EVENTS[record.event])
+    .map(record => REPLAY_COMPARED_EVENTS[record.event](record.data));
+  
+  let matched = true;
+  console.log('\nReplay vs recording:');
+  for (let i = 0; i < Math.max(expected.length, produced.length); i++) {
+    const same = expected[i] === produced[i];
+    matched = matched && same;
+    console.log(`${same ? '✓' : '✗'} ${produced[i] ?? '(nothing)'}`);
+    if (!same) console.log(`    recorded: ${expected[i] ?? '(nothing)'}`);
+  }
+  console.log(matched ? '\nReplay matches the recording' : '\nReplay diverged from the recording');
+  await spotifyMock.close();
+  return matched;
+}
+
 // ================== SERVER START ==================
+// Exit cleanly on Ctrl+C / container stop so persistent stores flush
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
+
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`
+if (WORKER_MODE && messageBus.transport instanceof InMemoryTransport) {
+  log('ERROR', 'SERVER', 'A worker needs BUS_TRANSPORT=socket or redis to reach the main process');
+  process.exit(1);
+} else if (WORKER_MODE) {
+  log('INFO', 'SERVER', `Worker running agents: ${[...LOCAL_AGENTS].join(', ')} (bus: ${process.env.BUS_TRANSPORT || 'memory'})`);
+} else if (REPLAY_FILE !== null) {
+  replayRecording(REPLAY_FILE)
+    .then(matched => process.exit(matched ? 0 : 1))
+    .catch(error => {
+      log('ERROR', 'REPLAY', `Replay failed: ${error.message}`);
+      process.exit(1);
+    });
+} else {
+  server.listen(PORT, () => {
+    console.log(`
 ╔════════════════════════════════════════════════════════════════════╗
 ║       🎵 MUSIC BUDDY - MULTI-AGENT ARCHITECTURE + A2A PROTOCOL 🎵 ║
 ╠════════════════════════════════════════════════════════════════════╣
@@ -2117,10 +5579,14 @@ server.listen(PORT, () => {
 ║  A2A Endpoints:                                                    ║
 ║  • GET  /.well-known/agent.json - Agent discovery                  ║
 ║  • GET  /api/a2a/agents - List all agents                          ║
+║  • GET  /api/a2a/tasks - List and filter tasks                     ║
 ║  • POST /api/a2a/tasks/send - Send task to agent                   ║
+║  • POST /api/a2a/tasks/sendSubscribe - Stream task updates (SSE)   ║
+║  • POST /api/a2a/tasks/:id/cancel - Cancel a running task          ║
 ║  • POST /api/a2a/rpc - JSON-RPC 2.0 endpoint                       ║
 ╠════════════════════════════════════════════════════════════════════╣
 ║  🌐 http://localhost:${PORT}                                          ║
 ╚════════════════════════════════════════════════════════════════════╝
   `);
-});
\ No newline at end of file
+  });
+}
\ No newline at end of file
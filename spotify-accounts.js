@@ -0,0 +1,122 @@
+/**
+ * Spotify account store - token sets for several users, keyed by Spotify user id
+ * Shared by server-agents.js (incl. /auth/login) and spotify-auth.js - both use .spotify-tokens.json
+ *
+ * File format: { "link_secret": "...", "accounts": { "<spotify user id>": { access_token, refresh_token, expires_at, ... } } }
+ * A legacy single-token file is read as the account "default".
+ * link_secret signs account links when SPOTIFY_LINK_SECRET isn't set - generated once, then reused.
+ * Each account's link_id is part of its link key; removing the account (logout) revokes the key.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+// Permissions requested by npm run auth and the server's /auth/login
+export const SPOTIFY_SCOPES = [
+  'user-read-playback-state',
+  'user-modify-playback-state',
+  'user-read-currently-playing',
+  'streaming',
+  'playlist-read-private',
+  'playlist-read-collaborative',
+  'playlist-modify-private',
+  'playlist-modify-public',
+  'user-library-read',
+  'user-library-modify',
+  'user-top-read',
+  'user-read-recently-played'
+];
+
+export class SpotifyAccountStore {
+  constructor(file) {
+    this.file = file;
+    this.accounts = {};
+    this.linkSecret = null;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.accounts = data.access_token ? { default: data } : (data.accounts || {});
+    this.linkSecret = data.link_secret || this.linkSecret;
+  }
+
+  save() {
+    const data = this.linkSecret ? { link_secret: this.linkSecret, accounts: this.accounts } : { accounts: this.accounts };
+    fs.writeFileSync(this.file, JSON.stringify(data, null, 2), { mode: 0o600 });
+  }
+
+  // Secret for accountLinkKey(): SPOTIFY_LINK_SECRET, else the one kept in the token file, so
+  // links survive restarts and work for both the server and npm run auth
+  getLinkSecret() {
+    if (process.env.SPOTIFY_LINK_SECRET) return process.env.SPOTIFY_LINK_SECRET;
+    if (!this.linkSecret) this.load();
+    if (!this.linkSecret) {
+      this.linkSecret = crypto.randomBytes(32).toString('base64url');
+      this.save();
+    }
+    return this.linkSecret;
+  }
+
+  // Re-reads the file for unknown users - spotify-auth.js may have added them meanwhile
+  get(userId) {
+    if (!this.accounts[userId]) {
+      this.load();
+    }
+    return this.accounts[userId] || null;
+  }
+
+  // Logging in again keeps the account's link_id, so browsers already linked stay linked
+  set(userId, tokens) {
+    this.accounts[userId] = { link_id: this.accounts[userId]?.link_id, ...tokens };
+    this.save();
+  }
+
+  remove(userId) {
+    delete this.accounts[userId];
+    this.save();
+  }
+
+  list() {
+    return Object.keys(this.accounts);
+  }
+
+  // Account for sessions that haven't linked one: SPOTIFY_DEFAULT_USER, or the only account
+  defaultUserId() {
+    const preferred = process.env.SPOTIFY_DEFAULT_USER;
+    if (preferred && this.accounts[preferred]) return preferred;
+    const userIds = this.list();
+    return userIds.length === 1 ? userIds[0] : null;
+  }
+
+  // Key handed to the browser that linked userId - null when the account isn't stored
+  linkKey(userId) {
+    const account = this.get(userId);
+    if (!account) return null;
+    if (!account.link_id) {
+      account.link_id = crypto.randomBytes(16).toString('base64url');
+      this.save();
+    }
+    return accountLinkKey(userId, account.link_id, this.getLinkSecret());
+  }
+
+  verifyLinkKey(userId, key) {
+    const matches = () => verifyAccountLinkKey(userId, this.accounts[userId]?.link_id, key, this.getLinkSecret());
+    if (matches()) return true;
+    // npm run auth may have linked the account in the meantime
+    this.load();
+    return matches();
+  }
+}
+
+// Proof that the holder completed the Spotify login for userId - signed with getLinkSecret()
+export function accountLinkKey(userId, linkId, secret) {
+  return crypto.createHmac('sha256', secret).update(`spotify-account:${userId}:${linkId}`).digest('base64url');
+}
+
+export function verifyAccountLinkKey(userId, linkId, key, secret) {
+  if (typeof userId !== 'string' || typeof key !== 'string' || !linkId || !secret) return false;
+  const expected = Buffer.from(accountLinkKey(userId, linkId, secret));
+  const actual = Buffer.from(key);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
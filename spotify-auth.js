@@ -2,17 +2,18 @@
  * Spotify OAuth Yetkilendirme Yardımcısı
  * 
  * Bu script ilk kez Spotify bağlantısı kurmak için kullanılır.
- * Token'lar .spotify-tokens.json dosyasına kaydedilir.
+ * Token'lar .spotify-tokens.json dosyasına Spotify kullanıcı id'si ile kaydedilir -
+ * her kullanıcı kendi hesabını ekleyebilir.
  * 
  * Kullanım: npm run auth
  */
 
 import express from 'express';
 import open from 'open';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { SpotifyAccountStore, SPOTIFY_SCOPES } from './spotify-accounts.js';
 
 dotenv.config();
 
@@ -23,19 +24,10 @@ const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
 const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
 const SPOTIFY_REDIRECT_URI = process.env.SPOTIFY_REDIRECT_URI || 'http://localhost:8888/callback';
 const PORT = 8888;
+const APP_URL = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
 
-// Gerekli scope'lar
-const SCOPES = [
-  'user-read-playback-state',
-  'user-modify-playback-state', 
-  'user-read-currently-playing',
-  'streaming',
-  'playlist-read-private',
-  'playlist-read-collaborative',
-  'user-library-read',
-  'user-top-read',
-  'user-read-recently-played'
-].join(' ');
+// Gerekli scope'lar (sunucudaki /auth/login ile ortak)
+const SCOPES = SPOTIFY_SCOPES.join(' ');
 
 // Değişkenleri kontrol et
 if (!SPOTIFY_CLIENT_ID || !SPOTIFY_CLIENT_SECRET) {
@@ -111,26 +103,31 @@ app.get('/callback', async (req, res) => {
     
     const tokens = await tokenResponse.json();
     
+    // Kullanıcı bilgisini al - token'lar bu id ile saklanır
+    const userResponse = await fetch('https://api.spotify.com/v1/me', {
+      headers: { 'Authorization': `Bearer ${tokens.access_token}` }
+    });
+    
+    if (!userResponse.ok) {
+      throw new Error(`Kullanıcı bilgisi alınamadı: ${userResponse.status}`);
+    }
+    
+    const userData = await userResponse.json();
+    const userName = userData.display_name || userData.id;
+    
     // Token'ları kaydet
-    const tokenData = {
+    const accounts = new SpotifyAccountStore(TOKEN_FILE);
+    accounts.load();
+    accounts.set(userData.id, {
       access_token: tokens.access_token,
       refresh_token: tokens.refresh_token,
       expires_at: Date.now() + (tokens.expires_in * 1000),
-      scope: tokens.scope
-    };
-    
-    fs.writeFileSync(TOKEN_FILE, JSON.stringify(tokenData, null, 2));
-    
-    // Kullanıcı bilgisini al
-    const userResponse = await fetch('https://api.spotify.com/v1/me', {
-      headers: { 'Authorization': `Bearer ${tokens.access_token}` }
+      scope: tokens.scope,
+      display_name: userName
     });
     
-    let userName = 'Kullanıcı';
-    if (userResponse.ok) {
-      const userData = await userResponse.json();
-      userName = userData.display_name || userData.id;
-    }
+    // Bu link oturumu hesaba bağlar (tarayıcı hatırlar) - anahtar sunucuya gitmesin diye # sonrasında
+    const loginUrl = `${APP_URL}/#spotify_user=${encodeURIComponent(userData.id)}&spotify_key=${accounts.linkKey(userData.id)}`;
     
     res.send(`
       <html>
@@ -144,16 +141,19 @@ app.get('/callback', async (req, res) => {
               npm start
             </code>
             <br><br>
-            komutu ile uygulamayı başlat!
+            komutu ile uygulamayı başlat, sonra kendi hesabınla açmak için:
+            <br><br>
+            <a href="${loginUrl}" style="color: #1db954;">${loginUrl}</a>
           </p>
         </body>
       </html>
     `);
     
     console.log('\n✅ Spotify yetkilendirmesi başarılı!');
-    console.log(`👤 Kullanıcı: ${userName}`);
+    console.log(`👤 Kullanıcı: ${userName} (${userData.id})`);
     console.log(`📁 Token'lar kaydedildi: ${TOKEN_FILE}`);
-    console.log('\n🚀 Şimdi uygulamayı başlatabilirsin: npm start\n');
+    console.log('\n🚀 Şimdi uygulamayı başlatabilirsin: npm start');
+    console.log(`🔗 Kendi hesabınla bağlanmak için: ${loginUrl}\n`);
     
     setTimeout(() => process.exit(0), 3000);
     
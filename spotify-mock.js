@@ -0,0 +1,460 @@
+/**
+ * 🧪 Mock Spotify Web API for offline tests and development
+ *
+ * Simulates search, devices, player state, the queue, playlists, Liked Songs, top and
+ * recent listening, artists, the profile and the token endpoint in-process, plus failure modes (404 no active device, 429, 5xx, expired tokens).
+ * Point the server at it with SPOTIFY_API_URL=<url>/v1 and SPOTIFY_ACCOUNTS_URL=<url>.
+ *
+ * Tests: const mock = createSpotifyMock(); const url = await mock.listen();
+ * Standalone: npm run spotify-mock [-- --port 8899]
+ */
+
+import express from 'express';
+import { fileURLToPath } from 'url';
+
+const track = (id, name, artist, tags) => ({
+  id,
+  name,
+  uri: `spotify:track:${id}`,
+  duration_ms: 200000,
+  artists: [{ id: artist.toLowerCase().replace(/\W+/g, '-'), name: artist, uri: `spotify:artist:${artist.toLowerCase().replace(/\W+/g, '-')}` }],
+  album: { name: `${name} (Single)`, images: [] },
+  tags
+});
+
+export function defaultCatalog() {
+  const tracks = [
+    track('blinding-lights', 'Blinding Lights', 'The Weeknd', ['pop', 'popular', 'hits', 'top', 'songs', 'trending', '2024']),
+    track('levitating', 'Levitating', 'Dua Lipa', ['pop', 'dance', 'happy', 'upbeat', 'hits', 'party', 'new', 'releases']),
+    track('weightless', 'Weightless', 'Marconi Union', ['calm', 'relaxing', 'ambient', 'focus', 'study', 'concentration']),
+    track('lofi-morning', 'Lofi Morning', 'Chillhop Collective', ['chill', 'lofi', 'vibes', 'music']),
+    track('eye-of-the-tiger', 'Eye of the Tiger', 'Survivor', ['rock', 'workout', 'gym', 'motivation', 'energetic']),
+    track('someone-like-you', 'Someone Like You', 'Adele', ['sad', 'emotional', 'acoustic', 'romantic', 'love', 'songs']),
+    track('heart', 'Heart', 'Stephen Sanchez', ['love', 'songs']),
+    track('barracuda', 'Barracuda', 'Heart', ['rock', 'intense']),
+    track('clair-de-lune', 'Clair de Lune', 'Claude Debussy', ['classical', 'piano', 'sleep'])
+  ];
+  // Artist id -> genres, as on Spotify's full artist objects
+  const genres = {
+    'the-weeknd': ['canadian contemporary r&b', 'pop'],
+    'dua-lipa': ['dance pop', 'pop', 'uk pop'],
+    'marconi-union': ['ambient', 'new age'],
+    'chillhop-collective': ['chillhop', 'lo-fi beats'],
+    'survivor': ['album rock', 'hard rock'],
+    'adele': ['british soul', 'pop', 'uk pop'],
+    'stephen-sanchez': ['pop', 'singer-songwriter pop'],
+    'heart': ['album rock', 'hard rock', 'soft rock'],
+    'claude-debussy': ['classical', 'impressionism', 'classical piano']
+  };
+  const playlists = [
+    { id: 'happy-hits', name: 'Happy Hits!', tags: ['happy', 'upbeat', 'pop', 'hits'], tracks: ['levitating', 'blinding-lights'] },
+    { id: 'chill-vibes', name: 'Chill Vibes', tags: ['chill', 'lofi', 'vibes', 'calm', 'relaxing'], tracks: ['lofi-morning', 'weightless'] },
+    { id: 'beast-mode', name: 'Beast Mode', tags: ['workout', 'gym', 'motivation', 'energetic'], tracks: ['eye-of-the-tiger'] }
+  ].map(p => ({ ...p, uri: `spotify:playlist:${p.id}` }));
+  return { tracks, playlists, genres };
+}
+
+export function defaultDevices() {
+  return [
+    { id: 'web-player', name: 'Music Buddy Web Player', type: 'Computer', volume_percent: 50 },
+    { id: 'kitchen', name: 'Kitchen Speaker', type: 'Speaker', volume_percent: 40 },
+    { id: 'living-room', name: 'Living Room Speaker', type: 'Speaker', volume_percent: 40 },
+    { id: 'phone', name: "Alex's iPhone", type: 'Smartphone', volume_percent: 70 }
+  ];
+}
+
+const words = (text) => text.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').split(/\s+/).filter(w => w.length > 2);
+
+// Items matching any query word, best matches first
+function search(items, query, text) {
+  const queryWords = words(query);
+  return items
+    .map(item => ({ item, score: queryWords.filter(w => words(text(item)).includes(w)).length }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ item }) => item);
+}
+
+const publicTrack = ({ tags, ...rest }) => rest;
+
+export function createSpotifyMock({ catalog = defaultCatalog(), devices = defaultDevices(), user = { id: 'mock-user', display_name: 'Mock User' } } = {}) {
+  const mock = {
+    url: null,
+    requests: [],     // "METHOD /path" of every call, for assertions
+    failures: [],     // { method, path, status, times, retryAfter, reason }
+    catalog,
+    devices,
+    user,
+    state: null,
+    reset,
+    fail,
+    listen,
+    close
+  };
+
+  function reset({ activeDeviceId = 'web-player', availableDevices = null } = {}) {
+    mock.requests = [];
+    mock.failures = [];
+    mock.state = {
+      devices: (availableDevices || mock.devices.map(d => d.id)),
+      activeDeviceId,
+      uris: [],          // what is playing, in order
+      index: 0,
+      contextUri: null,
+      isPlaying: false,
+      progressMs: 0,
+      shuffle: false,
+      repeat: 'off',
+      queue: [],
+      playlists: [],     // created by the user - the catalog's are public search results
+      likes: [],         // Liked Songs, newest first: { id, added_at }
+      topTracks: [],     // track ids, most listened first
+      topArtists: [],    // artist ids, most listened first
+      recentlyPlayed: [], // track ids, newest first
+      expiredTokens: new Set(),
+      refreshError: null, // e.g. 'invalid_grant' makes token refreshes fail
+      tokenCount: 0
+    };
+  }
+
+  // Fail the next `times` matching calls - path without /v1, e.g. fail('POST', '/me/player/next', 502)
+  function fail(method, path, status, { times = 1, retryAfter = null, reason = null } = {}) {
+    mock.failures.push({ method, path, status, times, retryAfter, reason });
+  }
+
+  const findTrack = (uri) => mock.catalog.tracks.find(t => t.uri === uri);
+  const artistsById = () => new Map(mock.catalog.tracks.flatMap(t => t.artists).map(a => [a.id, a]));
+  const fullArtist = (id) => {
+    const artist = artistsById().get(id);
+    return artist ? { ...artist, genres: mock.catalog.genres?.[id] || [] } : null;
+  };
+  const trackById = (id) => findTrack(`spotify:track:${id}`);
+  const findPlaylist = (match) => [...mock.catalog.playlists, ...mock.state.playlists].find(match);
+  const currentTrack = () => findTrack(mock.state.uris[mock.state.index]) || null;
+  const deviceList = () => mock.devices
+    .filter(d => mock.state.devices.includes(d.id))
+    .map(d => ({ ...d, is_active: d.id === mock.state.activeDeviceId, is_restricted: false }));
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  const spotifyError = (res, status, message, reason) =>
+    res.status(status).json({ error: { status, message, ...(reason && { reason }) } });
+
+  // Record, inject failures, check the bearer token
+  app.use((req, res, next) => {
+    const path = req.path.replace(/^\/v1/, '');
+    mock.requests.push(`${req.method} ${path}`);
+
+    const failure = mock.failures.find(f => f.method === req.method && f.path === path && f.times > 0);
+    if (failure) {
+      failure.times--;
+      if (failure.retryAfter !== null) res.set('Retry-After', String(failure.retryAfter));
+      return spotifyError(res, failure.status, `Mock failure ${failure.status}`, failure.reason);
+    }
+
+    if (req.path.startsWith('/v1/')) {
+      const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+      if (!token || mock.state.expiredTokens.has(token)) {
+        return spotifyError(res, 401, 'The access token expired');
+      }
+    }
+    next();
+  });
+
+  // ---- Accounts ----
+  app.post('/api/token', (req, res) => {
+    if (mock.state.refreshError) {
+      return res.status(400).json({ error: mock.state.refreshError, error_description: 'Refresh token revoked' });
+    }
+    mock.state.tokenCount++;
+    res.json({ access_token: `mock-token-${mock.state.tokenCount}`, token_type: 'Bearer', expires_in: 3600, scope: 'streaming' });
+  });
+
+  app.get('/v1/me', (req, res) => res.json(mock.user));
+
+  // ---- Search ----
+  app.get('/v1/search', (req, res) => {
+    const { q = '', type = 'track', limit = 20 } = req.query;
+    const types = String(type).split(',');
+    const result = {};
+    const page = (items) => ({ items: items.slice(0, Number(limit)), total: items.length });
+    if (types.includes('track')) {
+      result.tracks = page(search(mock.catalog.tracks, q, t => `${t.name} ${t.artists[0].name} ${t.tags.join(' ')}`).map(publicTrack));
+    }
+    if (types.includes('artist')) {
+      const artists = [...new Map(mock.catalog.tracks.flatMap(t => t.artists).map(a => [a.id, a])).values()];
+      result.artists = page(search(artists, q, a => a.name));
+    }
+    if (types.includes('playlist')) {
+      result.playlists = page(search(mock.catalog.playlists, q, p => `${p.name} ${p.tags.join(' ')}`)
+        .map(({ tags, tracks, ...playlist }) => playlist));
+    }
+    res.json(result);
+  });
+
+  // ---- Player ----
+  const requireDevice = (req, res) => {
+    const deviceId = req.query.device_id || mock.state.activeDeviceId;
+    if (!deviceId) {
+      spotifyError(res, 404, 'Player command failed: No active device found', 'NO_ACTIVE_DEVICE');
+      return null;
+    }
+    if (!mock.state.devices.includes(deviceId)) {
+      spotifyError(res, 404, 'Device not found');
+      return null;
+    }
+    return deviceId;
+  };
+
+  app.get('/v1/me/player/devices', (req, res) => res.json({ devices: deviceList() }));
+
+  app.get('/v1/me/player', (req, res) => {
+    const device = deviceList().find(d => d.is_active);
+    if (!device) return res.status(204).end();
+    res.json({
+      device,
+      is_playing: mock.state.isPlaying,
+      progress_ms: mock.state.progressMs,
+      shuffle_state: mock.state.shuffle,
+      repeat_state: mock.state.repeat,
+      item: currentTrack() && publicTrack(currentTrack()),
+      context: mock.state.contextUri ? { uri: mock.state.contextUri } : null
+    });
+  });
+
+  // Transfer playback
+  app.put('/v1/me/player', (req, res) => {
+    const deviceId = req.body?.device_ids?.[0];
+    if (!mock.state.devices.includes(deviceId)) return spotifyError(res, 404, 'Device not found');
+    mock.state.activeDeviceId = deviceId;
+    if (req.body.play) mock.state.isPlaying = true;
+    res.status(204).end();
+  });
+
+  app.put('/v1/me/player/play', (req, res) => {
+    const deviceId = requireDevice(req, res);
+    if (!deviceId) return;
+    const { uris, context_uri: contextUri, offset, position_ms: positionMs } = req.body || {};
+
+    // A new list of uris replaces the queue
+    if (uris) {
+      mock.state.uris = uris;
+      mock.state.contextUri = null;
+      mock.state.queue = [];
+    } else if (contextUri) {
+      const playlist = findPlaylist(p => p.uri === contextUri);
+      const trackIds = playlist ? playlist.tracks : mock.catalog.tracks
+        .filter(t => t.artists.some(a => a.uri === contextUri))
+        .map(t => t.id);
+      if (trackIds.length === 0) return spotifyError(res, 404, 'Context not found');
+      mock.state.uris = trackIds.map(id => `spotify:track:${id}`);
+      mock.state.contextUri = contextUri;
+    }
+    if (uris || contextUri) {
+      mock.state.index = offset?.position || 0;
+      mock.state.progressMs = positionMs || 0;
+    }
+
+    mock.state.activeDeviceId = deviceId;
+    mock.state.isPlaying = mock.state.uris.length > 0;
+    res.status(204).end();
+  });
+
+  app.put('/v1/me/player/pause', (req, res) => {
+    if (!requireDevice(req, res)) return;
+    mock.state.isPlaying = false;
+    res.status(204).end();
+  });
+
+  app.put('/v1/me/player/seek', (req, res) => {
+    if (!requireDevice(req, res)) return;
+    const positionMs = Number(req.query.position_ms);
+    if (!Number.isInteger(positionMs) || positionMs < 0) return spotifyError(res, 400, 'Invalid position_ms');
+    mock.state.progressMs = positionMs;
+    res.status(204).end();
+  });
+
+  app.put('/v1/me/player/shuffle', (req, res) => {
+    if (!requireDevice(req, res)) return;
+    if (!['true', 'false'].includes(req.query.state)) return spotifyError(res, 400, 'Invalid state');
+    mock.state.shuffle = req.query.state === 'true';
+    res.status(204).end();
+  });
+
+  app.put('/v1/me/player/repeat', (req, res) => {
+    if (!requireDevice(req, res)) return;
+    if (!['track', 'context', 'off'].includes(req.query.state)) return spotifyError(res, 400, 'Invalid state');
+    mock.state.repeat = req.query.state;
+    res.status(204).end();
+  });
+
+  // Like Spotify, "next" at the end of a list of uris keeps the last track
+  app.post('/v1/me/player/next', (req, res) => {
+    if (!requireDevice(req, res)) return;
+    if (mock.state.queue.length > 0) {
+      mock.state.uris.splice(mock.state.index + 1, 0, mock.state.queue.shift());
+    }
+    mock.state.index = Math.min(mock.state.index + 1, Math.max(mock.state.uris.length - 1, 0));
+    mock.state.progressMs = 0;
+    res.status(204).end();
+  });
+
+  app.post('/v1/me/player/previous', (req, res) => {
+    if (!requireDevice(req, res)) return;
+    mock.state.index = Math.max(mock.state.index - 1, 0);
+    mock.state.progressMs = 0;
+    res.status(204).end();
+  });
+
+  app.put('/v1/me/player/volume', (req, res) => {
+    const deviceId = requireDevice(req, res);
+    if (!deviceId) return;
+    mock.devices.find(d => d.id === deviceId).volume_percent = Number(req.query.volume_percent);
+    res.status(204).end();
+  });
+
+  app.get('/v1/me/player/currently-playing', (req, res) => {
+    if (!currentTrack()) return res.status(204).end();
+    res.json({ item: publicTrack(currentTrack()), is_playing: mock.state.isPlaying, progress_ms: mock.state.progressMs });
+  });
+
+  // ---- Queue ----
+  app.post('/v1/me/player/queue', (req, res) => {
+    if (!requireDevice(req, res)) return;
+    if (!findTrack(req.query.uri)) return spotifyError(res, 400, 'Invalid track uri');
+    mock.state.queue.push(req.query.uri);
+    res.status(204).end();
+  });
+
+  app.get('/v1/me/player/queue', (req, res) => {
+    const upcoming = [...mock.state.queue, ...mock.state.uris.slice(mock.state.index + 1)];
+    res.json({
+      currently_playing: currentTrack() && publicTrack(currentTrack()),
+      queue: upcoming.map(findTrack).filter(Boolean).map(publicTrack)
+    });
+  });
+
+  // ---- Playlists ----
+  // Pages carry Spotify's absolute `next` url
+  const pageOf = (req, items) => {
+    const limit = Number(req.query.limit) || 20;
+    const offset = Number(req.query.offset) || 0;
+    const next = offset + limit < items.length ? `${mock.url}${req.path}?limit=${limit}&offset=${offset + limit}` : null;
+    return { items: items.slice(offset, offset + limit), total: items.length, limit, offset, next };
+  };
+  const publicPlaylist = ({ tags, tracks, ...playlist }) => ({ ...playlist, tracks: { total: tracks.length } });
+
+  app.get('/v1/me/playlists', (req, res) => res.json(pageOf(req, mock.state.playlists.map(publicPlaylist))));
+
+  app.post('/v1/users/:userId/playlists', (req, res) => {
+    if (req.params.userId !== mock.user.id) return spotifyError(res, 403, 'You cannot create a playlist for another user');
+    if (!req.body?.name) return spotifyError(res, 400, 'Missing required field: name');
+    const id = `user-playlist-${mock.state.playlists.length + 1}`;
+    const playlist = {
+      id,
+      name: req.body.name,
+      description: req.body.description || '',
+      public: req.body.public !== false,
+      uri: `spotify:playlist:${id}`,
+      owner: { id: mock.user.id, display_name: mock.user.display_name },
+      tags: [],
+      tracks: []
+    };
+    mock.state.playlists.push(playlist);
+    res.status(201).json(publicPlaylist(playlist));
+  });
+
+  app.get('/v1/playlists/:id/tracks', (req, res) => {
+    const playlist = findPlaylist(p => p.id === req.params.id);
+    if (!playlist) return spotifyError(res, 404, 'Playlist not found');
+    const items = playlist.tracks.map(id => findTrack(`spotify:track:${id}`)).filter(Boolean);
+    res.json(pageOf(req, items.map(t => ({ track: publicTrack(t) }))));
+  });
+
+  app.post('/v1/playlists/:id/tracks', (req, res) => {
+    const playlist = mock.state.playlists.find(p => p.id === req.params.id);
+    if (!playlist) return spotifyError(res, 403, 'You cannot add tracks to a playlist you don\'t own');
+    const uris = req.body?.uris || [];
+    if (uris.length > 100 || !uris.every(findTrack)) return spotifyError(res, 400, 'Invalid track uri');
+    playlist.tracks.push(...uris.map(uri => findTrack(uri).id));
+    res.status(201).json({ snapshot_id: `snapshot-${playlist.tracks.length}` });
+  });
+
+  // ---- Listening history and artists ----
+  app.get('/v1/me/top/tracks', (req, res) => res.json(pageOf(req, mock.state.topTracks.map(trackById).filter(Boolean).map(publicTrack))));
+
+  app.get('/v1/me/top/artists', (req, res) => res.json(pageOf(req, mock.state.topArtists.map(fullArtist).filter(Boolean))));
+
+  app.get('/v1/me/player/recently-played', (req, res) => {
+    const items = mock.state.recentlyPlayed.map(trackById).filter(Boolean)
+      .map((t, i) => ({ track: publicTrack(t), played_at: new Date(Date.now() - i * 240000).toISOString() }));
+    res.json({ items: items.slice(0, Number(req.query.limit) || 20), next: null, cursors: null });
+  });
+
+  app.get('/v1/artists', (req, res) => {
+    res.json({ artists: String(req.query.ids || '').split(',').filter(Boolean).map(id => fullArtist(id)) });
+  });
+
+  app.get('/v1/artists/:id/top-tracks', (req, res) => {
+    if (!artistsById().has(req.params.id)) return spotifyError(res, 404, 'Artist not found');
+    res.json({ tracks: mock.catalog.tracks.filter(t => t.artists[0].id === req.params.id).map(publicTrack) });
+  });
+
+  // ---- Liked Songs ----
+  const trackIds = (req) => String(req.query.ids || '').split(',').filter(Boolean);
+
+  app.get('/v1/me/tracks', (req, res) => {
+    const items = mock.state.likes.map(({ id, added_at }) => ({ added_at, track: publicTrack(findTrack(`spotify:track:${id}`)) }));
+    res.json(pageOf(req, items));
+  });
+
+  app.get('/v1/me/tracks/contains', (req, res) => {
+    res.json(trackIds(req).map(id => mock.state.likes.some(like => like.id === id)));
+  });
+
+  app.put('/v1/me/tracks', (req, res) => {
+    const ids = trackIds(req);
+    if (!ids.every(id => findTrack(`spotify:track:${id}`))) return spotifyError(res, 400, 'Invalid track id');
+    const added_at = new Date().toISOString();
+    mock.state.likes = [...ids.map(id => ({ id, added_at })), ...mock.state.likes.filter(like => !ids.includes(like.id))];
+    res.status(200).end();
+  });
+
+  app.delete('/v1/me/tracks', (req, res) => {
+    const ids = trackIds(req);
+    mock.state.likes = mock.state.likes.filter(like => !ids.includes(like.id));
+    res.status(200).end();
+  });
+
+  app.use((req, res) => spotifyError(res, 404, `Mock has no route for ${req.method} ${req.path}`));
+
+  let server = null;
+
+  function listen(port = 0) {
+    return new Promise(resolve => {
+      server = app.listen(port, '127.0.0.1', () => {
+        mock.url = `http://127.0.0.1:${server.address().port}`;
+        resolve(mock.url);
+      });
+    });
+  }
+
+  function close() {
+    return new Promise(resolve => (server ? server.close(resolve) : resolve()));
+  }
+
+  reset();
+  return mock;
+}
+
+// Standalone: npm run spotify-mock [-- --port 8899]
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const portArg = process.argv.indexOf('--port');
+  const port = parseInt(portArg === -1 ? process.env.SPOTIFY_MOCK_PORT : process.argv[portArg + 1], 10) || 8899;
+  createSpotifyMock().listen(port).then(url => {
+    console.log(`🧪 Mock Spotify API listening on ${url}`);
+    console.log(`   SPOTIFY_API_URL=${url}/v1 SPOTIFY_ACCOUNTS_URL=${url}`);
+  });
+}
@@ -0,0 +1,407 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { withServer } from './helpers.js';
+
+describe('A2A JSON-RPC endpoint', () => {
+  const { server, mock } = withServer();
+
+  describe('params validation', () => {
+    it('rejects tasks/send without params or skillId', async () => {
+      for (const params of [undefined, null, {}, { input: {} }]) {
+        const body = await server.rpc('tasks/send', params);
+
+        assert.equal(body.status, 400);
+        assert.equal(body.error?.code, -32602);
+        assert.equal(body.error.message, 'Missing skillId');
+      }
+    });
+
+    it('rejects params that are not an object', async () => {
+      const body = await server.rpc('tasks/get', ['task-1']);
+
+      assert.equal(body.status, 400);
+      assert.equal(body.error?.code, -32602);
+    });
+
+    it('rejects tasks/get without a taskId', async () => {
+      for (const params of [undefined, null]) {
+        const body = await server.rpc('tasks/get', params);
+
+        assert.equal(body.status, 400);
+        assert.equal(body.error?.code, -32602);
+        assert.equal(body.error.message, 'Missing taskId');
+      }
+    });
+
+    it('answers an unknown task id with task not found', async () => {
+      const body = await server.rpc('tasks/get', { taskId: 'no-such-task' });
+
+      assert.equal(body.status, 404);
+      assert.equal(body.error?.code, -32002);
+    });
+  });
+
+  describe('tasks/send', () => {
+    it('runs a skill sent without input or sessionId', async () => {
+      const body = await server.rpc('tasks/send', { skillId: 'pause_music' });
+
+      assert.equal(body.result?.state, 'completed', body.error?.message);
+      assert.equal(body.result.sessionId, 'api');
+      assert.deepEqual(body.result.input, {});
+    });
+  });
+
+  describe('tasks/list', () => {
+    const list = async (params) => {
+      const body = await server.rpc('tasks/list', params);
+      assert.ok(body.result, body.error?.message);
+      return body.result;
+    };
+
+    it('pages newest first with a cursor', async () => {
+      const sent = [];
+      for (let i = 0; i < 5; i++) {
+        sent.push((await server.sendTask('spotify', 'pause_music', {}, 'list-paging')).id);
+      }
+
+      const pages = [];
+      let cursor;
+      do {
+        const page = await list({ sessionId: 'list-paging', limit: 2, ...(cursor && { cursor }) });
+        pages.push(page.tasks);
+        cursor = page.nextCursor;
+      } while (cursor);
+      const tasks = pages.flat();
+
+      assert.deepEqual(pages.map(page => page.length), [2, 2, 1]);
+      assert.deepEqual(tasks.map(task => task.id).sort(), sent.sort());
+      assert.ok(tasks.every((task, i) => i === 0 || task.createdAt <= tasks[i - 1].createdAt));
+    });
+
+    it('filters by skill, state and time', async () => {
+      const paused = await server.sendTask('spotify', 'pause_music', {}, 'list-filters');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      mock.fail('PUT', '/me/player/pause', 403, { reason: 'PREMIUM_REQUIRED' });
+      const failed = await server.sendTask('spotify', 'pause_music', {}, 'list-filters');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const since = Date.now();
+      const current = await server.sendTask('spotify', 'get_current_track', {}, 'list-filters');
+      const ids = async (params) => (await list({ sessionId: 'list-filters', ...params })).tasks.map(task => task.id);
+
+      assert.equal(failed.state, 'failed');
+      assert.deepEqual(await ids({ state: 'failed' }), [failed.id]);
+      assert.deepEqual(await ids({ state: ['completed', 'failed'], skillId: 'pause_music' }), [failed.id, paused.id]);
+      assert.deepEqual(await ids({ skillId: 'get_current_track' }), [current.id]);
+      assert.deepEqual(await ids({ since: new Date(since).toISOString() }), [current.id]);
+      assert.deepEqual(await ids({ until: since - 1 }), [failed.id, paused.id]);
+    });
+
+    it('rejects unknown states, bad limits and bad cursors', async () => {
+      for (const params of [{ state: 'paused' }, { limit: 0 }, { limit: 500 }, { cursor: 'not-a-cursor' }, { since: 'yesterday' }]) {
+        const body = await server.rpc('tasks/list', params);
+
+        assert.equal(body.error?.code, -32602, JSON.stringify(params));
+      }
+    });
+  });
+
+  describe('batches', () => {
+    it('answers every request with an id, in order', async () => {
+      const body = await server.rpcBody([
+        { jsonrpc: '2.0', id: 'a', method: 'tasks/send', params: { skillId: 'play_music', input: { query: 'Levitating' } } },
+        { jsonrpc: '2.0', method: 'tasks/send', params: { skillId: 'pause_music' } },
+        { jsonrpc: '2.0', id: 'b', method: 'no/such/method' }
+      ]);
+
+      assert.equal(body.status, 200);
+      assert.deepEqual(body.responses.map(response => response.id), ['a', 'b']);
+      assert.equal(body.responses[0].result.state, 'completed');
+      assert.equal(body.responses[1].error.code, -32601);
+      // The notification ran, after the play_music before it
+      assert.equal(mock.state.isPlaying, false);
+    });
+
+    it('answers a batch of only notifications with no content', async () => {
+      const body = await server.rpcBody([{ jsonrpc: '2.0', method: 'tasks/send', params: { skillId: 'pause_music' } }]);
+
+      assert.equal(body.status, 204);
+    });
+
+    it('answers a single notification with no content', async () => {
+      const body = await server.rpcBody({ jsonrpc: '2.0', method: 'tasks/list', params: {} });
+
+      assert.equal(body.status, 204);
+    });
+
+    it('rejects an empty batch', async () => {
+      const body = await server.rpcBody([]);
+
+      assert.equal(body.status, 400);
+      assert.equal(body.error?.code, -32600);
+    });
+  });
+
+  describe('tasks/sendSubscribe', () => {
+    it('streams status events, the output and a final event, then closes', async () => {
+      const response = await fetch(`${server.url}/api/a2a/tasks/sendSubscribe`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: 'stream-1', skillId: 'play_music', input: { query: 'Levitating' } })
+      });
+      assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+      // text() resolves only once the server ends the stream
+      const events = (await response.text()).trim().split('\n\n').map(block => {
+        const [, event, data] = block.match(/^event: (\w+)\ndata: (.*)$/);
+        return { event, ...JSON.parse(data) };
+      });
+
+      assert.ok(events.every(e => e.jsonrpc === '2.0' && e.id === 'stream-1'));
+      assert.equal(events[0].result.status.state, 'submitted');
+      assert.ok(events.some(e => e.event === 'status' && e.result.status.message?.startsWith('Searching Spotify')));
+
+      const [artifact, last] = events.slice(-2);
+      assert.equal(artifact.event, 'artifact');
+      assert.equal(artifact.result.output.message, 'Now playing "Levitating" by Dua Lipa');
+      assert.equal(last.result.status.state, 'completed');
+      assert.equal(last.result.final, true);
+      assert.ok(events.slice(0, -1).every(e => !e.result.final));
+    });
+
+    it('only advertises streaming for agents that report progress', async () => {
+      const { result } = await server.rpc('agents/list', {});
+      const capabilities = Object.fromEntries(result.agents.map(agent => [agent.id, agent.capabilities]));
+
+      assert.deepEqual(capabilities.spotify, { streaming: true, pushNotifications: true });
+      assert.deepEqual(capabilities.orchestrator, { streaming: false, pushNotifications: true });
+    });
+  });
+
+  describe('tasks/cancel', () => {
+    it('cancels a running task and aborts its Spotify calls', async () => {
+      mock.fail('GET', '/search', 429, { retryAfter: 10 });
+      const sent = server.sendTask('spotify', 'play_music', { query: 'Levitating' }, 'cancel-running');
+
+      for (let i = 0; i < 100 && !mock.requests.includes('GET /search'); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      const [task] = (await server.rpc('tasks/list', { sessionId: 'cancel-running' })).result.tasks;
+      const body = await server.rpc('tasks/cancel', { taskId: task.id, reason: 'changed my mind' });
+      assert.equal(body.result?.state, 'canceled', body.error?.message);
+
+      const started = Date.now();
+      const done = await sent;
+      assert.equal(done.state, 'canceled');
+      assert.ok(Date.now() - started < 5000, 'the retry wait was not aborted');
+      assert.equal(mock.requests.filter(request => request === 'GET /search').length, 1);
+      assert.ok(!mock.requests.includes('PUT /me/player/play'));
+    });
+
+    it('refuses to cancel a finished task', async () => {
+      const task = await server.sendTask('spotify', 'pause_music', {});
+      const body = await server.rpc('tasks/cancel', { taskId: task.id });
+
+      assert.equal(body.status, 409);
+      assert.equal(body.error?.code, -32004);
+    });
+
+    it('answers an unknown task id with task not found', async () => {
+      const body = await server.rpc('tasks/cancel', { taskId: 'no-such-task' });
+
+      assert.equal(body.status, 404);
+      assert.equal(body.error?.code, -32002);
+    });
+  });
+
+  describe('push notifications', () => {
+    it('rejects webhooks on internal addresses', async () => {
+      for (const url of ['http://127.0.0.1:9000/hook', 'http://localhost/hook', 'http://169.254.169.254/latest', 'http://[::1]/hook', 'http://10.1.2.3/hook']) {
+        const body = await server.rpc('tasks/pushNotification/set', { sessionId: 'test', pushNotificationConfig: { url } });
+
+        assert.equal(body.error?.code, -32602, url);
+        assert.match(body.error.message, /internal address/);
+      }
+    });
+
+    it('does not keep a task whose webhook was rejected', async () => {
+      const body = await server.rpc('tasks/send', { skillId: 'pause_music', sessionId: 'rejected-hook', pushNotification: { url: 'http://127.0.0.1/hook' } });
+      assert.equal(body.error?.code, -32602);
+
+      const list = await server.rpc('tasks/list', { sessionId: 'rejected-hook' });
+      assert.deepEqual(list.result.tasks, []);
+    });
+
+    it('rejects non-http webhooks', async () => {
+      const body = await server.rpc('tasks/pushNotification/set', { sessionId: 'test', pushNotificationConfig: { url: 'file:///etc/passwd' } });
+
+      assert.equal(body.error?.code, -32602);
+      assert.match(body.error.message, /http\(s\)/);
+    });
+  });
+
+  it('rejects remote agents on internal addresses', async () => {
+    const body = await server.rpc('agents/register', { url: server.url, agentId: 'loopback' });
+
+    assert.equal(body.error?.code, -32602);
+    assert.match(body.error.message, /internal address/);
+  });
+});
+
+describe('JSON-RPC scopes', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'music-buddy-auth-'));
+  const authFile = path.join(dir, 'auth-clients.json');
+  fs.writeFileSync(authFile, JSON.stringify({
+    apiKeys: [
+      { clientId: 'reader', key: 'reader-key', scopes: ['tasks:read'] },
+      { clientId: 'writer', key: 'writer-key', scopes: ['tasks:read', 'tasks:write'] }
+    ]
+  }));
+  const { server } = withServer({ AUTH_CONFIG_FILE: authFile });
+  const pushConfig = { sessionId: 'scoped', pushNotificationConfig: { url: 'https://hooks.example.com/a2a' } };
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('requires tasks:write to set or remove a webhook', async () => {
+    for (const method of ['tasks/pushNotification/set', 'tasks/pushNotification/remove']) {
+      const body = await server.rpc(method, pushConfig, 1, { 'X-API-Key': 'reader-key' });
+
+      assert.equal(body.status, 403, method);
+      assert.equal(body.error?.code, -32006);
+      assert.deepEqual(body.error.data, { required: 'tasks:write', clientId: 'reader' });
+    }
+
+    const set = await server.rpc('tasks/pushNotification/set', pushConfig, 1, { 'X-API-Key': 'writer-key' });
+    assert.ok(set.result, set.error?.message);
+    const read = await server.rpc('tasks/pushNotification/get', { sessionId: 'scoped' }, 1, { 'X-API-Key': 'reader-key' });
+    assert.equal(read.result?.pushNotificationConfig?.url, 'https://hooks.example.com/a2a');
+    const removed = await server.rpc('tasks/pushNotification/remove', { sessionId: 'scoped' }, 1, { 'X-API-Key': 'writer-key' });
+    assert.equal(removed.result?.removed, true);
+  });
+});
+
+describe('file task store', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'music-buddy-store-'));
+  const { server } = withServer({ A2A_TASK_STORE: 'file', A2A_TASK_STORE_FILE: path.join(dir, 'tasks.json') });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('does not persist large payloads', async () => {
+    const task = await server.sendTask('spotify', 'play_music', { query: 'x'.repeat(5000) });
+
+    const file = path.join(dir, 'tasks.json');
+    for (let i = 0; i < 30 && !fs.existsSync(file); i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8')).find(t => t.id === task.id);
+    assert.equal(saved.input.query, '[5000 chars not stored]');
+  });
+});
+
+// Minimal external A2A agent: one skill that asks a question before it completes
+function startRemoteAgent() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/.well-known/agent.json') {
+        return res.end(JSON.stringify({ name: 'Lyrics Agent', skills: [{ id: 'find_lyrics', name: 'Find lyrics' }] }));
+      }
+
+      const { id, params } = JSON.parse(body);
+      requests.push(params);
+      const result = params.taskId
+        ? { id: params.taskId, state: 'completed', output: { message: `Lyrics for ${params.input.song}` } }
+        : { id: 'remote-task-1', state: 'input-required', output: { message: 'Which song?', inputRequired: true } };
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, result }));
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+// Webhook receiver: records requests and answers every request with the given status and headers
+function startWebhook(status = 200, headers = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    res.writeHead(status, headers).end();
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(done => server.close(done))
+  })));
+}
+
+describe('webhook delivery', () => {
+  const { server } = withServer({ A2A_ALLOWED_HOSTS: '127.0.0.1' });
+
+  it('does not follow redirects', async () => {
+    const internal = await startWebhook();
+    const hook = await startWebhook(302, { Location: `http://localhost:${new URL(internal.url).port}/admin` });
+    try {
+      const body = await server.rpc('tasks/pushNotification/set', { sessionId: 'redirect', pushNotificationConfig: { url: `${hook.url}/hook` } });
+      assert.ok(body.result, body.error?.message);
+
+      await server.sendTask('spotify', 'pause_music', {}, 'redirect');
+      for (let i = 0; i < 50 && hook.requests.length === 0; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      assert.ok(hook.requests.length > 0);
+      assert.deepEqual(internal.requests, []);
+    } finally {
+      await hook.close();
+      await internal.close();
+    }
+  });
+});
+
+describe('remote agents', () => {
+  let remote;
+  const { server } = withServer({ A2A_ALLOWED_HOSTS: '127.0.0.1' });
+
+  before(async () => {
+    remote = await startRemoteAgent();
+    const body = await server.rpc('agents/register', { url: remote.url, agentId: 'lyrics' });
+    assert.ok(body.result, body.error?.message);
+  });
+
+  after(() => remote?.close());
+
+  it('does not follow redirects from a remote agent', async () => {
+    const redirect = await startWebhook(302, { Location: `${remote.url}/.well-known/agent.json` });
+    try {
+      const body = await server.rpc('agents/register', { url: redirect.url, agentId: 'redirected' });
+
+      assert.match(body.error?.message, /302/);
+    } finally {
+      await redirect.close();
+    }
+  });
+
+  it('keeps remote input-required tasks open and forwards the answer', async () => {
+    const task = await server.sendTask('lyrics', 'find_lyrics', {});
+
+    assert.equal(task.state, 'input-required');
+    assert.equal(task.output.message, 'Which song?');
+
+    const done = await server.continueTask(task.id, { song: 'Levitating' });
+
+    assert.equal(done.state, 'completed');
+    assert.equal(done.output.message, 'Lyrics for Levitating');
+    assert.deepEqual(remote.requests[1], { taskId: 'remote-task-1', input: { song: 'Levitating' } });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { accountLinkKey } from '../spotify-accounts.js';
+import { withServer } from './helpers.js';
+
+describe('Spotify web login', () => {
+  const { server } = withServer();
+
+  // Runs /auth/login and /auth/callback like the browser would - returns the final redirect
+  async function login() {
+    const start = await fetch(`${server.url}/auth/login`, { redirect: 'manual' });
+    const state = new URL(start.headers.get('location')).searchParams.get('state');
+    const callback = await fetch(`${server.url}/auth/callback?code=mock-code&state=${state}`, { redirect: 'manual' });
+    assert.equal(callback.status, 302);
+    return callback.headers.get('location');
+  }
+
+  const linkOf = (location) => {
+    const params = new URLSearchParams(new URL(location, server.url).hash.slice(1));
+    return { userId: params.get('spotify_user'), key: params.get('spotify_key') };
+  };
+
+  const logout = (body) => fetch(`${server.url}/auth/logout`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  it('signs account links with a secret kept in the token file', async () => {
+    const { userId, key } = linkOf(await login());
+
+    const { link_secret: secret, accounts } = JSON.parse(fs.readFileSync(server.tokenFile, 'utf8'));
+    assert.ok(secret);
+    assert.equal(userId, 'mock-user');
+    assert.equal(key, accountLinkKey('mock-user', accounts['mock-user'].link_id, secret));
+  });
+
+  it('keeps accounts another process added to the token file', async () => {
+    const stored = JSON.parse(fs.readFileSync(server.tokenFile, 'utf8'));
+    stored.accounts.friend = { access_token: 'friend-token', refresh_token: 'friend-refresh', expires_at: Date.now() + 3600000 };
+    fs.writeFileSync(server.tokenFile, JSON.stringify(stored));
+
+    await login();
+
+    const { accounts } = JSON.parse(fs.readFileSync(server.tokenFile, 'utf8'));
+    assert.deepEqual(Object.keys(accounts).sort(), ['friend', 'mock-user', 'tester']);
+  });
+
+  it('returns the login key in the fragment, not the query', async () => {
+    const location = new URL(await login(), server.url);
+
+    assert.equal(location.search, '');
+    assert.ok(linkOf(location.href).key);
+  });
+
+  it('keeps the key across logins and revokes it on logout', async () => {
+    const first = linkOf(await login());
+    const again = linkOf(await login());
+    assert.equal(again.key, first.key);
+
+    assert.equal((await logout(first)).status, 200);
+
+    const relinked = linkOf(await login());
+    assert.notEqual(relinked.key, first.key);
+    assert.equal((await logout(first)).status, 403);
+    assert.equal((await logout(relinked)).status, 200);
+  });
+});
+
+// HS256 token; exp is seconds from now
+function signJwt(claims, secret, exp = 60) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ exp: Math.floor(Date.now() / 1000) + exp, ...claims })}`;
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+
+describe('API authentication', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'music-buddy-auth-'));
+  const authFile = path.join(dir, 'auth-clients.json');
+  fs.writeFileSync(authFile, JSON.stringify({
+    apiKeys: [
+      { clientId: 'hub', key: 'hub-key', scopes: ['playback:read'] },
+      { clientId: 'web-ui', key: 'ui-key', scopes: ['*'] },
+      { clientId: 'other', key: 'other-key', scopes: ['*'] }
+    ]
+  }));
+  const { server } = withServer({ AUTH_CONFIG_FILE: authFile, AUTH_JWT_SECRET: 'jwt-secret' });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const pause = (headers) => server.rpc('tasks/send', { skillId: 'pause_music' }, 1, headers);
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+  it('requires credentials', async () => {
+    const body = await pause({});
+
+    assert.equal(body.status, 401);
+    assert.equal(body.error?.code, -32005);
+    assert.equal(body.error.message, 'Authentication required');
+  });
+
+  it('rejects an unknown API key', async () => {
+    const body = await pause({ 'X-API-Key': 'not-a-key' });
+
+    assert.equal(body.status, 401);
+    assert.equal(body.error?.message, 'Invalid API key');
+  });
+
+  it('rejects a JWT with a bad signature', async () => {
+    const body = await pause(bearer(signJwt({ sub: 'hub', scope: 'playback:control' }, 'other-secret')));
+
+    assert.equal(body.status, 401);
+    assert.equal(body.error?.message, 'Invalid token signature');
+  });
+
+  it('rejects an expired JWT', async () => {
+    const body = await pause(bearer(signJwt({ sub: 'hub', scope: 'playback:control' }, 'jwt-secret', -60)));
+
+    assert.equal(body.status, 401);
+    assert.equal(body.error?.message, 'Token expired');
+  });
+
+  it('refuses skills outside the client\'s scopes', async () => {
+    for (const headers of [{ 'X-API-Key': 'hub-key' }, bearer(signJwt({ sub: 'hub', scope: 'playback:read' }, 'jwt-secret'))]) {
+      const body = await pause(headers);
+
+      assert.equal(body.status, 403);
+      assert.equal(body.error?.code, -32006);
+      assert.equal(body.error.data.required, 'playback:control');
+    }
+  });
+
+  it('runs skills for a JWT with the scope', async () => {
+    const body = await pause(bearer(signJwt({ sub: 'hub', scope: 'playback:read playback:control' }, 'jwt-secret')));
+
+    assert.equal(body.result?.state, 'completed', body.error?.message);
+  });
+
+  it('keeps voice sessions to the client that opened them', async () => {
+    const session = await server.connectSession('ui-key');
+    try {
+      const send = (key) => server.rpc('tasks/send', { skillId: 'pause_music', sessionId: session.sessionId }, 1, { 'X-API-Key': key });
+
+      const other = await send('other-key');
+      assert.equal(other.status, 403);
+      assert.equal(other.error?.message, `Session belongs to another client: ${session.sessionId}`);
+
+      const token = await fetch(`${server.url}/api/spotify-token?sessionId=${session.sessionId}`, { headers: { 'X-API-Key': 'other-key' } });
+      assert.equal(token.status, 403);
+
+      const own = await send('ui-key');
+      assert.equal(own.result?.state, 'completed', own.error?.message);
+    } finally {
+      session.ws.close();
+    }
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { withServer } from './helpers.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Starts redis-standin.js on a free port; resolves once it is listening
+function startRedisStandin() {
+  const port = 40000 + Math.floor(Math.random() * 10000);
+  const child = spawn(process.execPath, ['redis-standin.js', '--port', String(port)], { cwd: ROOT });
+  return new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('exit', code => reject(new Error(`Redis stand-in exited with ${code}`)));
+    child.stdout.once('data', () => resolve({ url: `redis://127.0.0.1:${port}`, stop: () => child.kill() }));
+  });
+}
+
+describe('SpotifyAgent in a worker over BUS_TRANSPORT=redis', () => {
+  let redis;
+  let workerLog;
+  before(async () => {
+    redis = await startRedisStandin();
+  });
+  const busEnv = () => ({ BUS_TRANSPORT: 'redis', BUS_REDIS_URL: redis.url, BUS_REDIS_CHANNEL: 'music-buddy:test' });
+  const { server, mock } = withServer(() => ({ ...busEnv(), AGENTS: 'conversation,sentiment' }));
+
+  before(async () => {
+    workerLog = server.startWorker({ ...busEnv(), AGENTS: 'spotify' });
+    for (let i = 0; i < 100; i++) {
+      const { result } = await server.rpc('agents/list', {});
+      if (result.agents.some(agent => agent.id === 'spotify')) return;
+      await sleep(100);
+    }
+    throw new Error(`Worker agent never announced itself - see ${workerLog}`);
+  });
+  after(() => redis?.stop());
+
+  it('runs a forwarded command and returns its result', async () => {
+    const task = await server.sendTask('spotify', 'play_music', { query: 'Blinding Lights' });
+
+    assert.equal(task.state, 'completed', task.error);
+    assert.equal(task.output.message, 'Now playing "Blinding Lights" by The Weeknd');
+    assert.equal(mock.state.uris[0], 'spotify:track:blinding-lights');
+  });
+
+  it('forwards a cancel so the worker aborts its copy of the task', async () => {
+    mock.fail('GET', '/search', 429, { retryAfter: 10 });
+    const sent = server.sendTask('spotify', 'play_music', { query: 'Levitating' }, 'worker-cancel');
+
+    for (let i = 0; i < 100 && !mock.requests.includes('GET /search'); i++) {
+      await sleep(20);
+    }
+    const [task] = (await server.rpc('tasks/list', { sessionId: 'worker-cancel' })).result.tasks;
+    const body = await server.rpc('tasks/cancel', { taskId: task.id, reason: 'changed my mind' });
+    assert.equal(body.result?.state, 'canceled', body.error?.message);
+    assert.equal((await sent).state, 'canceled');
+
+    let workerCanceled = false;
+    for (let i = 0; i < 100 && !workerCanceled; i++) {
+      await sleep(20);
+      workerCanceled = fs.readFileSync(workerLog, 'utf8').includes(`Canceling worker task ${task.id}`);
+    }
+    assert.ok(workerCanceled, 'the worker did not cancel its copy');
+    assert.equal(mock.requests.filter(request => request === 'GET /search').length, 1);
+    assert.ok(!mock.requests.includes('PUT /me/player/play'));
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Test harness: runs the real server-agents.js in a child process against an
+ * in-process mock Spotify API (spotify-mock.js) and drives it over A2A REST.
+ */
+
+import { before, after, beforeEach, afterEach } from 'node:test';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import WebSocket from 'ws';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSpotifyMock } from '../spotify-mock.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STARTUP_TIMEOUT_MS = 15000;
+
+export async function startServer(env = {}) {
+  const mock = createSpotifyMock();
+  const mockUrl = await mock.listen();
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'music-buddy-test-'));
+  const tokenFile = path.join(dir, 'spotify-tokens.json');
+  fs.writeFileSync(tokenFile, JSON.stringify({
+    accounts: { tester: { access_token: 'mock-token-0', refresh_token: 'mock-refresh', expires_at: Date.now() + 3600000 } }
+  }));
+
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const baseEnv = {
+    ...process.env,
+    OPENAI_API_KEY: 'test',
+    SPOTIFY_CLIENT_ID: 'test-client',
+    SPOTIFY_CLIENT_SECRET: 'test-secret',
+    SPOTIFY_API_URL: `${mockUrl}/v1`,
+    SPOTIFY_ACCOUNTS_URL: mockUrl,
+    SPOTIFY_TOKEN_FILE: tokenFile,
+    SPOTIFY_DEFAULT_USER: '',
+    SPOTIFY_LINK_SECRET: '',
+    LOG_FILE: path.join(dir, 'server.log'),
+    AUTH_CONFIG_FILE: path.join(dir, 'auth-clients.json'),
+    AUTH_JWT_SECRET: '',
+    A2A_TASK_STORE: 'memory',
+    A2A_REMOTE_AGENTS: '',
+    BUS_TRANSPORT: 'memory',
+    BUS_RECORD_DIR: '',
+    AGENTS: ''
+  };
+  const child = spawn(process.execPath, ['server-agents.js'], {
+    cwd: ROOT,
+    stdio: 'ignore',
+    env: { ...baseEnv, PORT: String(port), ...env }
+  });
+  const workers = [];
+
+  const url = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (true) {
+    try {
+      if ((await fetch(`${url}/.well-known/agent.json`)).ok) break;
+    } catch {
+      // not listening yet
+    }
+    if (child.exitCode !== null || Date.now() > deadline) {
+      child.kill();
+      await mock.close();
+      throw new Error(`Server did not start - see ${path.join(dir, 'server.log')}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  async function postTask(request) {
+    const response = await fetch(`${url}/api/a2a/tasks/send`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(request)
+    });
+    const body = await response.json();
+    if (body.error) throw new Error(`${request.skillId || request.taskId}: ${body.error.message}`);
+    return body.result;
+  }
+
+  // Runs a skill and returns the finished task
+  const sendTask = (agentId, skillId, input = {}, sessionId = 'test') => postTask({ agentId, skillId, input, sessionId });
+
+  // Answers an input-required task
+  const continueTask = (taskId, input) => postTask({ taskId, input });
+
+  // Calls the JSON-RPC endpoint and returns the raw response body
+  async function rpc(method, params, id = 1, headers = {}) {
+    return rpcBody({ jsonrpc: '2.0', id, method, ...(params !== undefined && { params }) }, headers);
+  }
+
+  // Posts any body (a batch, a notification) to the JSON-RPC endpoint
+  async function rpcBody(body, headers = {}) {
+    const response = await fetch(`${url}/api/a2a/rpc`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    const text = await response.text();
+    if (!text) return { status: response.status };
+    const json = JSON.parse(text);
+    return Array.isArray(json) ? { status: response.status, responses: json } : { status: response.status, ...json };
+  }
+
+  // Opens a voice session; resolves once the server has sent its sessionId
+  function connectSession(apiKey = null) {
+    const ws = new WebSocket(url.replace(/^http/, 'ws') + (apiKey ? `?api_key=${apiKey}` : ''));
+    return new Promise((resolve, reject) => {
+      ws.once('error', reject);
+      ws.once('message', (data) => resolve({ ws, sessionId: JSON.parse(data.toString()).sessionId }));
+    });
+  }
+
+  // Runs `server-agents.js --worker` on the same mock and token file; its log is returned
+  function startWorker(workerEnv) {
+    const logFile = path.join(dir, `worker-${workers.length + 1}.log`);
+    workers.push(spawn(process.execPath, ['server-agents.js', '--worker'], {
+      cwd: ROOT,
+      stdio: 'ignore',
+      env: { ...baseEnv, ...env, LOG_FILE: logFile, ...workerEnv }
+    }));
+    return logFile;
+  }
+
+  async function stop() {
+    workers.forEach(worker => worker.kill());
+    child.kill();
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { url, mock, tokenFile, sendTask, continueTask, rpc, rpcBody, connectSession, startWorker, stop };
+}
+
+// Forwards to whatever current() returns, so a suite can hold a server that starts later
+function forward(current) {
+  return new Proxy({}, {
+    get: (_, key) => {
+      const target = current();
+      const value = target[key];
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+    set: (_, key, value) => {
+      current()[key] = value;
+      return true;
+    }
+  });
+}
+
+/**
+ * Runs a server for the enclosing describe() and resets its mock before every test.
+ * env: server environment, or a function returning it when the server starts.
+ * perTest: a new server for every test - for suites whose tests change state the server
+ * keeps (refreshed tokens, cached taste profiles), so each test can run alone.
+ */
+export function withServer(env = {}, { perTest = false } = {}) {
+  let current = null;
+  const start = async () => {
+    current = await startServer(typeof env === 'function' ? env() : env);
+  };
+  const stop = () => current?.stop();
+
+  if (perTest) {
+    beforeEach(start);
+    afterEach(stop);
+  } else {
+    before(start);
+    after(stop);
+    beforeEach(() => current.mock.reset());
+  }
+  return { server: forward(() => current), mock: forward(() => current.mock) };
+}
@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageBus } from '../message-bus.js';
+import { withServer } from './helpers.js';
+
+describe('MessageBus subscriptions', () => {
+  it('stops delivering once unsubscribed', async () => {
+    const bus = new MessageBus();
+    const received = [];
+    const unsubscribe = bus.subscribe('tick', data => received.push(data.n));
+
+    await bus.publish('tick', { n: 1 });
+    unsubscribe();
+    await bus.publish('tick', { n: 2 });
+
+    assert.deepEqual(received, [1]);
+    assert.deepEqual(bus.subscriberCounts(), {});
+  });
+
+  it('keeps the other handlers of a topic', async () => {
+    const bus = new MessageBus();
+    const received = [];
+    const unsubscribe = bus.subscribe('tick', () => received.push('first'));
+    bus.subscribe('tick', () => received.push('second'));
+
+    unsubscribe();
+    await bus.publish('tick', {});
+
+    assert.deepEqual(received, ['second']);
+    assert.deepEqual(bus.subscriberCounts(), { tick: 1 });
+  });
+
+  it('tears down a scope in one call', async () => {
+    const bus = new MessageBus();
+    const scope = bus.scope();
+    scope.subscribe('client:audio', () => {});
+    scope.subscribe('client:transcript', () => {});
+    bus.subscribe('client:audio', () => {});
+
+    assert.deepEqual(bus.subscriberCounts(), { 'client:audio': 2, 'client:transcript': 1 });
+    scope.dispose();
+    assert.deepEqual(bus.subscriberCounts(), { 'client:audio': 1 });
+  });
+});
+
+describe('WebSocket session subscriptions', () => {
+  const { server } = withServer();
+
+  const subscribers = async () => (await fetch(`${server.url}/api/bus/subscribers`)).json();
+  const clientCounts = ({ subscribers }) => Object.entries(subscribers).filter(([topic]) => topic.startsWith('client:'));
+
+  it('removes a session\'s client handlers when its socket closes', async () => {
+    const before = await subscribers();
+    const sessions = [await server.connectSession(), await server.connectSession()];
+
+    const open = await subscribers();
+    assert.equal(open.sessions, before.sessions + 2);
+    assert.ok(clientCounts(open).length > 0);
+    assert.ok(clientCounts(open).every(([, count]) => count === open.sessions));
+
+    for (const { ws } of sessions) ws.close();
+    let closed;
+    for (let i = 0; i < 50; i++) {
+      closed = await subscribers();
+      if (closed.sessions === before.sessions) break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(closed.sessions, before.sessions);
+    assert.deepEqual(clientCounts(closed), clientCounts(before));
+  });
+});
+
+describe('MessageBus delivery', () => {
+  it('delivers wildcard topics with the event name', async () => {
+    const bus = new MessageBus();
+    const received = [];
+    bus.subscribe('client:*', (data, event) => received.push(`client:* ${event}`));
+    bus.subscribe('*', (data, event) => received.push(`* ${event}`));
+
+    await bus.publish('client:audio', {});
+    await bus.publish('speech:transcribed', {});
+
+    assert.deepEqual(received, ['client:* client:audio', '* client:audio', '* speech:transcribed']);
+  });
+
+  it('isolates a failing handler and reports it as bus:error', async () => {
+    const logged = [];
+    const bus = new MessageBus(undefined, { log: (level, agent, message) => logged.push(`${level} ${message}`) });
+    const received = [];
+    const errors = [];
+    bus.subscribe('bus:error', data => errors.push(data));
+    bus.subscribe('tick', () => { throw new Error('sync failure'); });
+    bus.subscribe('tick', async () => { throw new Error('async failure'); });
+    bus.subscribe('tick', () => received.push('ran'));
+
+    await bus.publish('tick', {});
+
+    assert.deepEqual(received, ['ran']);
+    assert.deepEqual(errors, [{ event: 'tick', error: 'sync failure' }, { event: 'tick', error: 'async failure' }]);
+    assert.ok(logged.includes('ERROR Handler for tick failed'));
+  });
+
+  it('does not report failures of bus:error handlers again', async () => {
+    const bus = new MessageBus();
+    let calls = 0;
+    bus.subscribe('bus:error', () => { calls++; throw new Error('broken reporter'); });
+    bus.subscribe('tick', () => { throw new Error('failure'); });
+
+    await bus.publish('tick', {});
+
+    assert.equal(calls, 1);
+  });
+});
+
+describe('MessageBus request/reply', () => {
+  it('resolves with the responder\'s return value', async () => {
+    const bus = new MessageBus();
+    bus.respond('math:double', async ({ n }) => n * 2);
+
+    assert.equal(await bus.request('math:double', { n: 21 }), 42);
+    assert.deepEqual(bus.subscriberCounts(), { 'math:double': 1 });
+  });
+
+  it('rejects with the responder\'s error', async () => {
+    const bus = new MessageBus();
+    bus.respond('math:double', () => { throw new Error('not a number'); });
+
+    await assert.rejects(bus.request('math:double', {}), /not a number/);
+  });
+
+  it('times out when nobody answers and drops its reply handler', async () => {
+    const bus = new MessageBus();
+
+    await assert.rejects(bus.request('nobody:home', {}, 50), /Bus request timed out: nobody:home \(50ms\)/);
+    assert.deepEqual(bus.subscriberCounts(), {});
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { withServer } from './helpers.js';
+
+describe('playByMood recommendations', () => {
+  const { server, mock } = withServer({}, { perTest: true });
+  const spotify = (skillId, input) => server.sendTask('spotify', skillId, input);
+
+  beforeEach(() => {
+    mock.state.topTracks = ['eye-of-the-tiger', 'weightless', 'levitating'];
+    mock.state.topArtists = ['survivor', 'marconi-union'];
+    mock.state.recentlyPlayed = ['lofi-morning', 'clair-de-lune'];
+  });
+
+  it('falls back to playlist search when the history cannot be read', async () => {
+    mock.fail('GET', '/me/top/tracks', 403);
+    const task = await spotify('play_by_mood', { mood: 'calm' });
+
+    assert.equal(task.output.message, 'Playing calm music: "Chill Vibes"');
+    assert.equal(mock.state.contextUri, 'spotify:playlist:chill-vibes');
+  });
+
+  it('plays my own music that fits the mood, best match first', async () => {
+    const task = await spotify('play_by_mood', { mood: 'calm' });
+
+    assert.equal(task.output.message, 'Playing calm music from your favorites: "Weightless" by Marconi Union');
+    assert.equal(task.output.personalized, true);
+    // Survivor is a top artist but hard rock doesn't fit calm; Dua Lipa's dance pop doesn't either
+    assert.deepEqual(mock.state.uris, ['spotify:track:weightless', 'spotify:track:clair-de-lune', 'spotify:track:lofi-morning']);
+    assert.ok(mock.requests.includes('GET /artists/survivor/top-tracks'));
+    assert.ok(mock.requests.includes('GET /artists'));
+  });
+
+  it('reuses the taste profile for the next mood', async () => {
+    await spotify('play_by_mood', { mood: 'calm' });
+    mock.requests = [];
+    const task = await spotify('play_by_mood', { mood: 'focused' });
+
+    assert.equal(task.output.personalized, true);
+    assert.deepEqual(mock.state.uris, ['spotify:track:weightless', 'spotify:track:lofi-morning', 'spotify:track:clair-de-lune']);
+    assert.ok(!mock.requests.includes('GET /me/top/tracks'));
+  });
+
+  it('falls back to playlist search when too few songs fit the mood', async () => {
+    const task = await spotify('play_by_mood', { mood: 'party' });
+
+    assert.equal(task.output.message, 'Playing party music: "Happy Hits!"');
+    assert.equal(task.output.personalized, undefined);
+  });
+});
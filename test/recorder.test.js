@@ -0,0 +1,97 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { withServer } from './helpers.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'music-buddy-recordings-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Every recorded event across the session files
+function readRecordings(recordDir) {
+  return fs.readdirSync(recordDir)
+    .flatMap(file => fs.readFileSync(path.join(recordDir, file), 'utf8').split('\n'))
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+// Runs node server-agents.js --replay <file>; resolves with its exit code and output
+function replay(file) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['server-agents.js', '--replay', file], {
+      cwd: ROOT,
+      env: { ...process.env, LOG_FILE: path.join(dir, 'replay.log'), BUS_RECORD_DIR: '', AGENTS: '' }
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    const timer = setTimeout(() => child.kill(), 20000);
+    child.once('error', reject);
+    child.once('exit', code => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+const record = (t, event, data) => ({ t, sessionId: 's1', event, data: { sessionId: 's1', ...data } });
+
+// A paused session, as recorded against the mock Spotify API
+const pauseRecording = [
+  record(1, 'speech:transcribed', { text: 'pause it' }),
+  record(2, 'conversation:intent', { text: 'pause it', intent: { intent: 'pause', confidence: 0.9 } }),
+  record(3, 'spotify:command', { command: 'pause', args: {} }),
+  record(4, 'spotify:api', { method: 'PUT', endpoint: '/me/player/pause', status: 204 }),
+  record(5, 'response:ready', { text: 'Music paused', type: 'command' })
+];
+
+function writeRecording(name, records) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, records.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+  return file;
+}
+
+describe('bus recorder', () => {
+  const recordDir = path.join(dir, 'recorded');
+  const { server } = withServer(() => ({ BUS_RECORD_DIR: recordDir }));
+
+  it('records Spotify calls by method, endpoint and status only', async () => {
+    await server.sendTask('spotify', 'play_music', { query: 'Blinding Lights' });
+
+    let calls = [];
+    for (let i = 0; i < 20 && !calls.some(call => call.endpoint.startsWith('/me/player/play')); i++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+      calls = readRecordings(recordDir).filter(entry => entry.event === 'spotify:api').map(entry => entry.data);
+    }
+
+    assert.ok(calls.some(call => call.method === 'GET' && call.endpoint.startsWith('/search?') && call.status === 200));
+    assert.ok(calls.some(call => call.method === 'PUT' && call.endpoint.startsWith('/me/player/play')));
+    for (const call of calls) {
+      assert.deepEqual(Object.keys(call).sort(), ['endpoint', 'method', 'status']);
+    }
+  });
+});
+
+describe('event replay', () => {
+  it('exits 0 when the replay matches the recording', async () => {
+    const { code, output } = await replay(writeRecording('pause.jsonl', pauseRecording));
+
+    assert.equal(code, 0, output);
+    assert.match(output, /✓ PUT \/me\/player\/pause 204/);
+    assert.match(output, /Replay matches the recording/);
+  });
+
+  it('exits 1 and shows the recorded line when the replay diverges', async () => {
+    const diverged = pauseRecording.map(entry => entry.event === 'response:ready'
+      ? { ...entry, data: { ...entry.data, text: 'Music stopped' } }
+      : entry);
+    const { code, output } = await replay(writeRecording('diverged.jsonl', diverged));
+
+    assert.equal(code, 1, output);
+    assert.match(output, /✗ say "Music paused"\n {4}recorded: say "Music stopped"/);
+    assert.match(output, /Replay diverged from the recording/);
+  });
+});
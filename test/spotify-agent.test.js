@@ -0,0 +1,510 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { withServer } from './helpers.js';
+
+describe('SpotifyAgent against the mock Spotify API', () => {
+  const { server, mock } = withServer();
+  const spotify = (skillId, input, sessionId) => server.sendTask('spotify', skillId, input, sessionId);
+
+  describe('device selection (ensureDeviceActive)', () => {
+    it('plays on the active device', async () => {
+      mock.reset({ activeDeviceId: 'kitchen' });
+      const task = await spotify('play_music', { query: 'Blinding Lights' });
+
+      assert.equal(task.state, 'completed');
+      assert.equal(task.output.message, 'Now playing "Blinding Lights" by The Weeknd');
+      assert.ok(mock.requests.includes('PUT /me/player'));
+      assert.equal(mock.state.activeDeviceId, 'kitchen');
+      assert.equal(mock.state.uris[0], 'spotify:track:blinding-lights');
+    });
+
+    it('falls back to the first device when none is active', async () => {
+      mock.reset({ activeDeviceId: null });
+      const task = await spotify('play_music', { query: 'Levitating' });
+
+      assert.equal(task.output.success, true);
+      assert.equal(mock.state.activeDeviceId, 'web-player');
+    });
+
+    it('plays on an explicit deviceId', async () => {
+      const task = await spotify('play_music', { query: 'Levitating', deviceId: 'phone' });
+
+      assert.equal(task.output.success, true);
+      assert.equal(mock.state.activeDeviceId, 'phone');
+    });
+
+    it('reports an explicit deviceId that is not available', async () => {
+      const task = await spotify('play_music', { query: 'Levitating', deviceId: 'car' });
+
+      assert.equal(task.output.success, false);
+      assert.match(task.output.message, /device car is not available/);
+      assert.ok(!mock.requests.includes('PUT /me/player/play'));
+    });
+
+    it('asks for a device when none is available', async () => {
+      mock.reset({ activeDeviceId: null, availableDevices: [] });
+      const task = await spotify('play_by_mood', { mood: 'happy' });
+
+      assert.equal(task.output.success, false);
+      assert.match(task.output.message, /No active Spotify device found/);
+    });
+  });
+
+  describe('ambiguous queries (findAmbiguity)', () => {
+    it('asks whether the artist or the song was meant, then plays the answer', async () => {
+      const task = await spotify('play_music', { query: 'Heart' });
+
+      assert.equal(task.state, 'input-required');
+      assert.equal(task.output.message, 'Which one did you mean: 1. Heart the artist, 2. "Heart" by Stephen Sanchez?');
+      assert.ok(!mock.requests.includes('PUT /me/player/play'));
+
+      const done = await server.continueTask(task.id, { choice: 2 });
+
+      assert.equal(done.state, 'completed');
+      assert.equal(done.output.message, 'Now playing "Heart" by Stephen Sanchez');
+      assert.equal(mock.state.uris[0], 'spotify:track:heart');
+    });
+
+    it('plays the query when a new task carries a choice', async () => {
+      const task = await spotify('play_music', { query: 'Levitating', choice: 2 });
+
+      assert.equal(task.state, 'completed');
+      assert.equal(task.output.message, 'Now playing "Levitating" by Dua Lipa');
+    });
+  });
+
+  describe('skipToNext', () => {
+    it('moves to the next track of the list', async () => {
+      await spotify('play_by_mood', { mood: 'happy' });
+      mock.requests = [];
+      const task = await spotify('skip_next', {});
+
+      assert.equal(task.output.message, 'Now playing: Blinding Lights');
+      assert.ok(!mock.requests.includes('GET /search'));
+    });
+
+    it('searches for a new song when the track does not change', async () => {
+      await spotify('play_music', { query: 'Weightless' });
+      mock.requests = [];
+      const task = await spotify('skip_next', {});
+
+      assert.equal(task.state, 'completed');
+      assert.ok(mock.requests.includes('GET /search'));
+      assert.match(task.output.message, /^Now playing "/);
+      assert.notEqual(mock.state.uris[0], 'spotify:track:weightless');
+    });
+  });
+
+  describe('playByMood', () => {
+    it('starts a matching playlist', async () => {
+      const task = await spotify('play_by_mood', { mood: 'chill' });
+
+      assert.equal(task.output.message, 'Playing chill music: "Chill Vibes"');
+      assert.equal(mock.state.contextUri, 'spotify:playlist:chill-vibes');
+    });
+
+    it('keeps playing when the first playlist track cannot be read', async () => {
+      mock.fail('GET', '/playlists/chill-vibes/tracks', 403);
+      const task = await spotify('play_by_mood', { mood: 'chill' });
+
+      assert.equal(task.state, 'completed');
+      assert.equal(task.output.message, 'Playing chill music: "Chill Vibes"');
+    });
+
+    it('falls back to tracks when no playlist matches', async () => {
+      const playlists = mock.catalog.playlists;
+      mock.catalog.playlists = [];
+      try {
+        const task = await spotify('play_by_mood', { mood: 'sad' });
+
+        assert.equal(task.output.message, 'Playing sad music: "Someone Like You" by Adele');
+        assert.equal(mock.state.contextUri, null);
+      } finally {
+        mock.catalog.playlists = playlists;
+      }
+    });
+  });
+
+  describe('devices', () => {
+    describe('when the session device disappears', () => {
+      let session;
+
+      // The device arrives over the WebSocket - wait until the session has it
+      const useDevice = async (deviceId) => {
+        session.ws.send(JSON.stringify({ type: 'device_id', deviceId }));
+        for (let i = 0; i < 50; i++) {
+          const info = await server.sendTask('orchestrator', 'manage_sessions', { sessionId: session.sessionId });
+          if (info.output?.deviceId === deviceId) return;
+          await new Promise(resolve => setTimeout(resolve, 20));
+        }
+      };
+
+      beforeEach(async () => {
+        session = await server.connectSession();
+        await useDevice('kitchen');
+        await spotify('play_music', { query: 'Levitating' }, session.sessionId);
+        assert.equal(mock.state.activeDeviceId, 'kitchen');
+        mock.state.devices = mock.state.devices.filter(id => id !== 'kitchen');
+        mock.state.activeDeviceId = null;
+      });
+
+      afterEach(() => session.ws.close());
+
+      it('asks which device to use', async () => {
+        const task = await spotify('play_music', { query: 'Weightless' }, session.sessionId);
+
+        assert.equal(task.state, 'input-required');
+        assert.match(task.output.message, /^Your playback device is no longer available\. Which device should I use: 1\. Music Buddy Web Player, /);
+
+        const option = task.output.options.find(o => o.deviceId === 'living-room');
+        const done = await server.continueTask(task.id, { choice: option.id });
+
+        assert.equal(done.output.message, 'Now playing "Weightless" by Marconi Union');
+        assert.equal(mock.state.activeDeviceId, 'living-room');
+        assert.equal(mock.state.uris[0], 'spotify:track:weightless');
+      });
+
+      it('says so when it switches to the only device left', async () => {
+        mock.state.devices = ['phone'];
+        const task = await spotify('play_music', { query: 'Weightless' }, session.sessionId);
+
+        assert.equal(task.output.message, 'Your playback device is no longer available, so I switched to Alex\'s iPhone. Now playing "Weightless" by Marconi Union');
+        assert.equal(mock.state.activeDeviceId, 'phone');
+      });
+
+      it('asks before transport commands too', async () => {
+        for (const skillId of ['skip_next', 'skip_previous', 'pause_music']) {
+          const task = await spotify(skillId, {}, session.sessionId);
+
+          assert.equal(task.state, 'input-required', skillId);
+          assert.match(task.output.message, /^Your playback device is no longer available\. Which device/);
+        }
+      });
+
+      it('sends transport commands to the device it switched to', async () => {
+        mock.state.devices = ['phone'];
+        for (const skillId of ['skip_next', 'skip_previous', 'pause_music']) {
+          await useDevice('kitchen');
+          const task = await spotify(skillId, {}, session.sessionId);
+
+          assert.equal(task.state, 'completed', skillId);
+          assert.equal(mock.state.activeDeviceId, 'phone');
+        }
+        assert.equal(mock.state.isPlaying, false);
+      });
+    });
+
+    it('lists the available devices', async () => {
+      mock.reset({ activeDeviceId: 'kitchen' });
+      const task = await spotify('list_devices', {});
+
+      assert.equal(task.output.devices.length, 4);
+      assert.match(task.output.message, /^Available devices: Music Buddy Web Player, Kitchen Speaker \(playing\), /);
+    });
+
+    it('transfers playback by a fuzzy device name', async () => {
+      await spotify('play_music', { query: 'Levitating' });
+      const task = await spotify('transfer_playback', { device: 'my phone' });
+
+      assert.equal(task.output.message, "Now playing on Alex's iPhone");
+      assert.equal(mock.state.activeDeviceId, 'phone');
+      assert.equal(mock.state.isPlaying, true);
+    });
+
+    it('asks which device when the name is ambiguous', async () => {
+      const task = await spotify('transfer_playback', { device: 'the speaker' });
+
+      assert.equal(task.state, 'input-required');
+      assert.equal(task.output.message, 'Which device did you mean: 1. Kitchen Speaker, 2. Living Room Speaker?');
+
+      const answered = await server.continueTask(task.id, { choice: 2 });
+      assert.equal(answered.state, 'completed');
+      assert.equal(mock.state.activeDeviceId, 'living-room');
+    });
+
+    it('lists the devices when none matches', async () => {
+      const task = await spotify('transfer_playback', { device: 'car stereo' });
+
+      assert.equal(task.output.success, false);
+      assert.match(task.output.message, /couldn't find a device called "car stereo"\. Available devices: Music Buddy Web Player, /);
+      assert.equal(mock.state.activeDeviceId, 'web-player');
+    });
+  });
+
+  describe('transport controls', () => {
+    beforeEach(() => spotify('play_music', { query: 'Levitating' }));
+
+    it('seeks to an absolute position', async () => {
+      const task = await spotify('seek', { positionSeconds: 90 });
+
+      assert.equal(task.output.message, 'Jumped to 1:30');
+      assert.equal(mock.state.progressMs, 90000);
+    });
+
+    it('seeks relative to the current position', async () => {
+      mock.state.progressMs = 60000;
+      const task = await spotify('seek', { offsetSeconds: 30 });
+
+      assert.equal(task.output.message, 'Skipped ahead 30 seconds, now at 1:30');
+      assert.equal(mock.state.progressMs, 90000);
+    });
+
+    it('does not rewind past the start', async () => {
+      mock.state.progressMs = 5000;
+      const task = await spotify('seek', { offsetSeconds: -15 });
+
+      assert.equal(task.output.message, 'Rewound 15 seconds, now at 0:00');
+      assert.equal(mock.state.progressMs, 0);
+    });
+
+    it('starts the song over', async () => {
+      mock.state.progressMs = 120000;
+      const task = await spotify('restart_track', {});
+
+      assert.equal(task.output.message, 'Starting "Levitating" over');
+      assert.equal(mock.state.progressMs, 0);
+    });
+
+    it('sets shuffle and repeat', async () => {
+      await spotify('set_shuffle', { enabled: true });
+      const task = await spotify('set_repeat', { mode: 'track' });
+
+      assert.equal(task.output.message, 'Repeating this song');
+      assert.equal(mock.state.shuffle, true);
+      assert.equal(mock.state.repeat, 'track');
+    });
+
+    it('rejects an unknown repeat mode', async () => {
+      await assert.rejects(spotify('set_repeat', { mode: 'forever' }), /Invalid params/);
+      assert.equal(mock.state.repeat, 'off');
+    });
+
+    it('rejects a fractional volume level', async () => {
+      await assert.rejects(spotify('set_volume', { level: 50.5 }), /Invalid params/);
+      assert.ok(!mock.requests.includes('PUT /me/player/volume'));
+    });
+  });
+
+  describe('queue', () => {
+    it('adds a song to the queue', async () => {
+      await spotify('play_music', { query: 'Levitating' });
+      const task = await spotify('add_to_queue', { query: 'Weightless' });
+
+      assert.equal(task.output.message, 'Added "Weightless" by Marconi Union to the queue');
+      assert.deepEqual(mock.state.queue, ['spotify:track:weightless']);
+    });
+
+    it('lists what is up next', async () => {
+      await spotify('play_by_mood', { mood: 'happy' });
+      await spotify('add_to_queue', { query: 'Weightless' });
+      const task = await spotify('get_queue', {});
+
+      assert.equal(task.output.queue[0].name, 'Weightless');
+      assert.match(task.output.message, /^Up next: "Weightless" by Marconi Union, /);
+    });
+
+    it('reports an empty queue', async () => {
+      await spotify('play_music', { query: 'Levitating' });
+      const task = await spotify('get_queue', {});
+
+      assert.equal(task.output.message, 'Nothing is queued up');
+    });
+
+    it('plays a song next, ahead of the queue', async () => {
+      await spotify('play_music', { query: 'Levitating' });
+      await spotify('add_to_queue', { query: 'Weightless' });
+      mock.state.progressMs = 42000;
+      const task = await spotify('play_next', { query: 'Someone Like You' });
+
+      assert.equal(task.output.message, '"Someone Like You" by Adele will play next');
+      assert.deepEqual(mock.state.uris, ['spotify:track:levitating', 'spotify:track:someone-like-you', 'spotify:track:weightless']);
+      assert.equal(mock.state.index, 0);
+      assert.equal(mock.state.progressMs, 42000);
+    });
+
+    it('queues the song when a playlist is playing, keeping the playlist', async () => {
+      await spotify('play_by_mood', { mood: 'happy' });
+      mock.state.progressMs = 42000;
+      const task = await spotify('play_next', { query: 'Weightless' });
+
+      assert.equal(task.output.message, '"Weightless" by Marconi Union will play next');
+      assert.ok(mock.requests.includes('POST /me/player/queue'));
+      assert.equal(mock.requests.filter(request => request === 'PUT /me/player/play').length, 1);
+      assert.equal(mock.state.contextUri, 'spotify:playlist:happy-hits');
+      assert.equal(mock.state.progressMs, 42000);
+
+      await spotify('skip_next', {});
+      assert.equal(mock.state.uris[mock.state.index], 'spotify:track:weightless');
+      assert.deepEqual(mock.state.uris.slice(mock.state.index + 1), ['spotify:track:blinding-lights']);
+    });
+
+    it('plays right away when nothing is playing', async () => {
+      const task = await spotify('play_next', { query: 'Weightless' });
+
+      assert.equal(task.output.success, true);
+      assert.equal(mock.state.uris[0], 'spotify:track:weightless');
+    });
+  });
+
+  describe('save_session_playlist', () => {
+    it('saves the tracks played in the session to a new playlist', async () => {
+      await spotify('play_by_mood', { mood: 'chill' }, 'playlist-new');
+      await spotify('skip_next', {}, 'playlist-new');
+      await spotify('play_music', { query: 'Levitating' }, 'playlist-new');
+      const task = await spotify('save_session_playlist', { name: 'Friday focus' }, 'playlist-new');
+
+      assert.equal(task.output.message, 'Saved 3 songs to your new playlist "Friday focus"');
+      assert.ok(mock.requests.includes('POST /users/mock-user/playlists'));
+      const [playlist] = mock.state.playlists;
+      assert.equal(playlist.name, 'Friday focus');
+      assert.equal(playlist.public, false);
+      assert.deepEqual(playlist.tracks, ['lofi-morning', 'weightless', 'levitating']);
+    });
+
+    it('adds only new tracks to an existing playlist of that name', async () => {
+      await spotify('play_music', { query: 'Levitating' }, 'playlist-update');
+      await spotify('save_session_playlist', { name: 'Friday focus' }, 'playlist-update');
+      await spotify('play_music', { query: 'Weightless' }, 'playlist-update');
+      const task = await spotify('save_session_playlist', { name: 'friday FOCUS' }, 'playlist-update');
+
+      assert.equal(task.output.message, 'Added 1 song to your playlist "Friday focus"');
+      assert.equal(mock.state.playlists.length, 1);
+      assert.deepEqual(mock.state.playlists[0].tracks, ['levitating', 'weightless']);
+    });
+
+    it('has nothing to save before anything was played', async () => {
+      const task = await spotify('save_session_playlist', { name: 'Empty' }, 'playlist-empty');
+
+      assert.equal(task.output.success, false);
+      assert.equal(mock.state.playlists.length, 0);
+    });
+  });
+
+  describe('Liked Songs', () => {
+    it('saves the current track', async () => {
+      await spotify('play_music', { query: 'Levitating' }, 'likes-save');
+      const task = await spotify('save_current_track', {}, 'likes-save');
+
+      assert.equal(task.output.message, 'Saved "Levitating" by Dua Lipa to your Liked Songs');
+      assert.deepEqual(mock.state.likes.map(like => like.id), ['levitating']);
+    });
+
+    it('does not save a track twice', async () => {
+      await spotify('play_music', { query: 'Levitating' }, 'likes-twice');
+      await spotify('save_current_track', {}, 'likes-twice');
+      mock.requests = [];
+      const task = await spotify('save_current_track', {}, 'likes-twice');
+
+      assert.equal(task.output.message, '"Levitating" is already in your Liked Songs');
+      assert.ok(!mock.requests.includes('PUT /me/tracks'));
+    });
+
+    it('refuses to like or unlike a local file', async () => {
+      const localFile = { id: null, name: 'Demo Tape', uri: 'spotify:local:Me:Demos:Demo+Tape:180', artists: [{ name: 'Me' }], tags: [] };
+      mock.catalog.tracks.push(localFile);
+      try {
+        Object.assign(mock.state, { uris: [localFile.uri], index: 0, isPlaying: true });
+        const saved = await spotify('save_current_track', {}, 'likes-local');
+        const removed = await spotify('remove_current_track', {}, 'likes-local');
+
+        assert.equal(saved.output.success, false);
+        assert.equal(saved.output.message, `"Demo Tape" isn't a Spotify track, so it can't be liked`);
+        assert.equal(removed.output.success, false);
+        assert.ok(!mock.requests.some(request => request.includes('/me/tracks')));
+      } finally {
+        mock.catalog.tracks.pop();
+      }
+    });
+
+    it('removes the current track', async () => {
+      await spotify('play_music', { query: 'Levitating' }, 'likes-remove');
+      await spotify('save_current_track', {}, 'likes-remove');
+      const task = await spotify('remove_current_track', {}, 'likes-remove');
+
+      assert.equal(task.output.message, 'Removed "Levitating" from your Liked Songs');
+      assert.deepEqual(mock.state.likes, []);
+    });
+
+    it('lists the tracks liked in the session', async () => {
+      await spotify('play_music', { query: 'Levitating' }, 'likes-list');
+      await spotify('save_current_track', {}, 'likes-list');
+      await spotify('play_music', { query: 'Weightless' }, 'likes-list');
+      await spotify('save_current_track', {}, 'likes-list');
+      const task = await spotify('list_recent_likes', {}, 'likes-list');
+
+      assert.equal(task.output.message, 'You liked 2 songs this session: "Levitating" by Dua Lipa, "Weightless" by Marconi Union');
+    });
+
+    it('falls back to the latest Liked Songs', async () => {
+      mock.state.likes = [{ id: 'heart', added_at: '2026-01-01T00:00:00Z' }];
+      const task = await spotify('list_recent_likes', {}, 'likes-none');
+
+      assert.equal(task.output.session, false);
+      assert.match(task.output.message, /Your latest liked songs: "Heart" by Stephen Sanchez$/);
+    });
+  });
+
+  describe('resilient API client', () => {
+    it('waits for Retry-After on 429', async () => {
+      mock.fail('GET', '/me/player/currently-playing', 429, { retryAfter: 1 });
+      const started = Date.now();
+      await spotify('play_music', { query: 'Levitating' });
+      const task = await spotify('get_current_track', {});
+
+      assert.equal(task.output.track.name, 'Levitating');
+      assert.ok(Date.now() - started >= 1000);
+      assert.equal(mock.requests.filter(r => r === 'GET /me/player/currently-playing').length, 2);
+    });
+
+    it('retries idempotent calls on 502', async () => {
+      mock.fail('GET', '/me/player/devices', 502, { times: 2 });
+      const task = await spotify('play_music', { query: 'Levitating' });
+
+      assert.equal(task.output.success, true);
+      assert.equal(mock.requests.filter(r => r === 'GET /me/player/devices').length, 3);
+    });
+
+    it('does not retry non-idempotent calls on 502', async () => {
+      await spotify('play_by_mood', { mood: 'happy' });
+      mock.requests = [];
+      mock.fail('POST', '/me/player/next', 502);
+      await spotify('skip_next', {});
+
+      assert.equal(mock.requests.filter(r => r === 'POST /me/player/next').length, 1);
+    });
+
+    it('fails with the Spotify error on 404 no active device', async () => {
+      mock.reset({ activeDeviceId: null });
+      const task = await spotify('pause_music', {});
+
+      assert.equal(task.state, 'failed');
+      assert.match(task.error, /404/);
+    });
+  });
+});
+
+describe('Spotify token refresh', () => {
+  const { server, mock } = withServer({}, { perTest: true });
+  const storedTokens = () => JSON.parse(fs.readFileSync(server.tokenFile, 'utf8')).accounts.tester;
+
+  it('refreshes the token once on 401', async () => {
+    mock.state.expiredTokens.add('mock-token-0');
+    const task = await server.sendTask('spotify', 'get_current_track', {});
+
+    assert.equal(task.state, 'completed');
+    assert.equal(mock.requests.filter(r => r === 'POST /api/token').length, 1);
+    assert.equal(storedTokens().access_token, 'mock-token-1');
+  });
+
+  it('asks to re-link when the refresh token is rejected', async () => {
+    mock.state.expiredTokens.add('mock-token-0');
+    mock.state.refreshError = 'invalid_grant';
+    const task = await server.sendTask('spotify', 'get_current_track', {});
+
+    assert.equal(task.state, 'failed');
+    assert.match(task.error, /re-link Spotify/);
+    assert.equal(storedTokens().relink_required, true);
+    assert.equal(storedTokens().access_token, 'mock-token-0');
+  });
+});